@@ -1,8 +1,26 @@
 // background.js - Service Worker
+importScripts('utils/pageActions.js'); // Functions injected into the fitbox tab for browser tools
+importScripts('utils/screenRoutes.js'); // Route table mapping fitbox URLs to screen IDs (shared with the server)
 
 // --- Configuration ---
 // Make sure this matches the PORT in your server/.env file
 const SERVER_URL = 'ws://localhost:3001'; 
+// Handshake: must be within the server's supported protocol range (see server handshake.js)
+const PROTOCOL_VERSION = 1;
+const CLIENT_CAPABILITIES = ['audio_playback', 'pcm16_capture', 'webm_capture', 'screen_context', 'browser_tools'];
+// Error codes the server sends (then closes with 4000) when it rejects this client version
+const HANDSHAKE_ERROR_CODES = ['missing_protocol_version', 'unsupported_protocol_version', 'missing_capabilities'];
+const TOKEN_REVOKED_CLOSE_CODE = 4001; // Server closes with this when an admin revokes our token
+const SERVER_HTTP_URL = SERVER_URL.replace(/^ws/, 'http'); // Sign-in routes (server auth-api.js)
+
+// Per-user token from pairing or Google sign-in, stored in chrome.storage.local
+let authToken = null;
+let authClient = null; // { user, method, deviceName, ... } as reported by the server
+let googleSignInAvailable = false; // Reported by the server's /auth/me
+const authLoaded = chrome.storage.local.get(['authToken', 'authClient']).then(stored => {
+    authToken = stored.authToken || null;
+    authClient = stored.authClient || null;
+});
 
 // --- Global State ---
 let ws = null;
@@ -13,9 +31,46 @@ const MAX_RETRY_DELAY = 30000; // 30 seconds
 let currentRetryDelay = INITIAL_RETRY_DELAY;
 let connectionInitiatedByUser = false; // Track if connection was started by user action
 let currentScreenContext = 'Unknown'; // Context from fitbox tab
+let currentScreenParams = {}; // Route parameters of the current screen, e.g. { memberId: '4821' }
+let currentPageContext = null; // Structured page context from content-script.js
 const FITBOX_PATTERN = /^https?:\/\/([a-zA-Z0-9-]+\.)*fitbox\.iq\//i;
 let currentMicrophoneLabel = "-"; // Add state variable for the label
 
+// Browser tools the assistant may run in the fitbox tab. Anything not listed here is
+// refused; tools that change data wait for the user to confirm in the popup.
+const BROWSER_TOOL_ALLOWLIST = {
+    navigate_to_section: { func: pageNavigateToSection, arg: 'section', changesData: false },
+    highlight_element: { func: pageHighlightElement, arg: 'label', changesData: false },
+    scroll_to_field: { func: pageScrollToField, arg: 'label', changesData: false },
+    click_button: { func: pageClickButton, arg: 'label', changesData: true }
+};
+// Opt-in screen sharing: JPEG frames of the fitbox tab, only while the user speaks
+const SCREEN_FRAME_INTERVAL_MS = 1000; // ~1 fps
+const SCREEN_FRAME_JPEG_QUALITY = 60;
+let screenShareEnabled = false; // Toggled by the user in the popup
+let screenCaptureErrorReported = false; // Capture failures are shown once per sharing period
+let isUserSpeaking = false; // Reported by the offscreen document's voice activity detection
+let isAssistantSpeaking = false; // Reply audio is playing in the offscreen document
+let isTtsSpeaking = false; // chrome.tts is reading out a 'tts' message
+let screenFrameInterval = null;
+
+const BROWSER_ACTION_CONFIRM_TIMEOUT_MS = 45000; // Deny if the user doesn't answer in time
+let pendingBrowserAction = null; // { id, name, description, resolve, timeout } awaiting confirmation
+
+// Live transcript of the current session, kept here so a popup opened later can show it
+const MAX_TRANSCRIPT_ENTRIES = 200;
+let sessionTranscript = []; // { id, speaker, text, startedAt, endedAt, final }
+
+// Capture mode chosen in the popup, stored in chrome.storage.local
+const CAPTURE_MODES = ['always_on', 'push_to_talk', 'vad'];
+const PUSH_TO_TALK_MAX_MS = 30000; // Release push-to-talk if the stop press never comes
+let captureMode = 'always_on';
+let pushToTalkActive = false;
+let pushToTalkTimeout = null;
+chrome.storage.local.get('captureMode').then(({ captureMode: storedMode }) => {
+    if (CAPTURE_MODES.includes(storedMode)) captureMode = storedMode;
+});
+
 // Offscreen document configuration
 const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
 let creatingOffscreenDocument = false; // Flag to prevent race conditions
@@ -40,6 +95,195 @@ async function getCurrentFitboxTab() {
     }
 }
 
+// Derives the screen context string sent to the server from a fitbox tab URL
+/**
+ * Maps a fitbox URL to its canonical screen ID and parameters using the shared route
+ * table. Pages without a route fall back to an ID made from the path, which the server
+ * still ranks knowledge for by its words.
+ * @param {string} tabUrl - URL of the fitbox tab.
+ * @returns {{screen: string, params: Object<string, string>}}
+ */
+function getScreenContextFromUrl(tabUrl) {
+    const route = resolveScreenRoute(tabUrl);
+    if (route) {
+        return route;
+    }
+    try {
+        const url = new URL(tabUrl);
+        return { screen: url.pathname.substring(1).replace(/[^a-zA-Z0-9_-]/g, '_') || 'Dashboard', params: {} };
+    } catch {
+        return { screen: 'Fitbox_Tab', params: {} };
+    }
+}
+
+// Context message for the server: the screen ID plus its route parameters
+function buildContextMessage() {
+    return { type: 'context', context: currentScreenContext, params: currentScreenParams };
+}
+
+// Builds the versioned handshake URL: protocol, screen, extension version, locale and capabilities
+function buildServerUrl(screenContext) {
+    const params = new URLSearchParams({
+        v: String(PROTOCOL_VERSION),
+        screen: screenContext,
+        ext: chrome.runtime.getManifest().version,
+        locale: chrome.i18n.getUILanguage(),
+        caps: CLIENT_CAPABILITIES.join(',')
+    });
+    if (authToken) {
+        params.set('token', authToken); // WebSockets can't carry an Authorization header
+    }
+    return `${SERVER_URL}?${params.toString()}`;
+}
+
+// --- Authentication ---
+
+async function storeAuth(token, client) {
+    authToken = token;
+    authClient = client;
+    if (token) {
+        await chrome.storage.local.set({ authToken: token, authClient: client });
+    } else {
+        await chrome.storage.local.remove(['authToken', 'authClient']);
+    }
+}
+
+/**
+ * Checks the stored token with the server before connecting. Only a definite 401 stops
+ * the connection (and asks the user to pair); if the server can't be reached the
+ * WebSocket attempt and its retries report that as usual.
+ * @returns {Promise<boolean>} False if the user has to pair or sign in first.
+ */
+async function ensureAuthorized() {
+    await authLoaded;
+    try {
+        const response = await fetch(`${SERVER_HTTP_URL}/auth/me`, {
+            headers: authToken ? { Authorization: `Bearer ${authToken}` } : {}
+        });
+        const result = await response.json().catch(() => ({}));
+        if (typeof result.googleSignIn === 'boolean') {
+            googleSignInAvailable = result.googleSignIn;
+        }
+        if (response.status === 401) {
+            const hadToken = !!authToken;
+            await storeAuth(null, null);
+            requirePairing(hadToken ? 'Your sign-in is no longer valid. Please pair this browser again.' : 'Pair this browser with the fitbox Helper to connect.');
+            return false;
+        }
+        if (response.ok && result.client) {
+            authClient = result.client;
+        }
+    } catch (error) {
+        console.warn("[Auth] Could not check the token, connecting anyway:", error.message);
+    }
+    return true;
+}
+
+// Stops connecting and shows the popup's pairing view
+function requirePairing(message) {
+    connectionInitiatedByUser = false;
+    clearTimeout(retryTimeout);
+    retryTimeout = null;
+    setConnectionState('disconnected', 'Not signed in');
+    chrome.runtime.sendMessage({ action: 'showPairing', message, googleSignIn: googleSignInAvailable }).catch(() => { /* Popup not open */ });
+}
+
+// Name shown to admins for this browser, e.g. "Chrome on mac"
+async function getDeviceName() {
+    const { os } = await chrome.runtime.getPlatformInfo();
+    return `Chrome on ${os}`;
+}
+
+/**
+ * Signs in through one of the server's sign-in routes and stores the token.
+ * @param {'pair'|'google'} route
+ * @param {object} body Route-specific fields (code or accessToken).
+ * @returns {Promise<object>} The client record for the new token.
+ */
+async function signIn(route, body) {
+    const response = await fetch(`${SERVER_HTTP_URL}/auth/${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...body, deviceName: await getDeviceName() })
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(result.error || `Sign-in failed (HTTP ${response.status}).`);
+    }
+    await storeAuth(result.token, result.client);
+    console.log(`[Auth] Signed in as ${result.client.user} (${result.client.method}).`);
+    return result.client;
+}
+
+// Optional Google sign-in through chrome.identity (needs the manifest's oauth2 client ID)
+async function signInWithGoogle() {
+    const { token: accessToken } = await chrome.identity.getAuthToken({ interactive: true });
+    try {
+        return await signIn('google', { accessToken });
+    } finally {
+        // The server only needed it once to confirm the account
+        chrome.identity.removeCachedAuthToken({ token: accessToken }).catch(() => { /* Already gone */ });
+    }
+}
+
+// --- Screen Context Tracking ---
+
+// Asks the fitbox tab's content script to report its page context again
+async function requestPageContextFromTab() {
+    const tab = await getCurrentFitboxTab();
+    if (!tab) return;
+    chrome.tabs.sendMessage(tab.id, { action: 'requestPageContext' })
+        .catch(error => console.warn("[Background] Content script not reachable (reload the fitbox tab?):", error.message));
+}
+
+/**
+ * Re-reads the screen context from a fitbox tab and, if it changed, pushes it to the
+ * server so the running Gemini conversation learns about the new screen.
+ * @param {chrome.tabs.Tab} tab - The tab that was navigated or activated.
+ */
+function handleFitboxNavigation(tab) {
+    if (!tab || !tab.url || !FITBOX_PATTERN.test(tab.url)) {
+        return; // Only fitbox screens change the helper's context
+    }
+    const { screen: newContext, params } = getScreenContextFromUrl(tab.url);
+    if (newContext === currentScreenContext && JSON.stringify(params) === JSON.stringify(currentScreenParams)) {
+        return;
+    }
+    console.log(`[Background] Fitbox screen changed: ${currentScreenContext} -> ${newContext}`, params);
+    currentScreenContext = newContext;
+    currentScreenParams = params;
+
+    chrome.runtime.sendMessage({
+        action: 'updateScreenContext',
+        screenContext: currentScreenContext
+    }).catch(() => { /* Popup not open */ });
+
+    if (connectionState === 'connected') {
+        sendMessageToServer(buildContextMessage());
+    }
+    currentPageContext = null; // Stale until the content script reports the new page
+    if (connectionState === 'connected') {
+        requestPageContextFromTab();
+    }
+}
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    // SPA route changes report a new url; full page loads report status 'complete'
+    if (!changeInfo.url && changeInfo.status !== 'complete') {
+        return;
+    }
+    if (!tab.active) {
+        return; // Background tabs don't reflect what the user is looking at
+    }
+    handleFitboxNavigation(tab);
+});
+
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+    chrome.tabs.get(tabId)
+        .then(handleFitboxNavigation)
+        .catch(error => console.warn("[Background] Could not read activated tab:", error.message));
+});
+
 // --- WebSocket Management ---
 function connectWebSocket() {
     if (ws && ws.readyState === WebSocket.OPEN) {
@@ -54,30 +298,34 @@ function connectWebSocket() {
 
     setConnectionState('connecting', 'Attempting connection...');
 
+    // A token is needed unless the server runs without authentication
+    ensureAuthorized().then(authorized => {
+        if (authorized) openWebSocket();
+    });
+}
+
+// Opens the socket for the current fitbox screen (after ensureAuthorized)
+function openWebSocket() {
     // Note: Offscreen setup is now initiated by setConnectionState('connected') or from popup
     // Get context *before* connecting
     getCurrentFitboxTab().then(tab => {
-            let context = 'Unknown'; // Default context
             if (tab && tab.url) {
-                try {
-                    const url = new URL(tab.url);
-                    context = url.pathname.substring(1).replace(/[^a-zA-Z0-9_-]/g, '_') || 'Dashboard';
-                } catch { context = 'Fitbox_Tab'; }
-                currentScreenContext = context;
-                console.log(`Fitbox context updated: ${currentScreenContext}`);
+                ({ screen: currentScreenContext, params: currentScreenParams } = getScreenContextFromUrl(tab.url));
+                console.log(`Fitbox context updated: ${currentScreenContext}`, currentScreenParams);
             } else {
                 currentScreenContext = 'Non-Fitbox_Tab'; 
+                currentScreenParams = {};
                 console.warn("Connecting without an active fitbox tab context.");
             }
 
            // Proceed with connection after context update
-           console.log(`Attempting to connect WebSocket to ${SERVER_URL}...`);
+           const serverUrl = buildServerUrl(currentScreenContext);
+           console.log(`Attempting to connect WebSocket to ${SERVER_URL} (screen ${currentScreenContext})...`);
            try {
-               ws = new WebSocket(SERVER_URL); // URL defined globally
+               ws = new WebSocket(serverUrl);
 
                ws.onopen = () => {
                    console.log('[WebSocket] Connection opened.');
-                   retryCount = 0; // Reset retry count on successful connection
                    console.log('[WebSocket] Open. Triggering offscreen document setup...');
                    setupOffscreenDocument();
                };
@@ -88,14 +336,8 @@ function connectWebSocket() {
                        return;
                    }
 
-                   // Log raw data and parsed message for debugging
-                   console.log("[WebSocket] Raw server data:", event.data);
-
                    try {
-                       const message = JSON.parse(event.data);
-                       console.log("[WebSocket] Parsed server message:", message);
-
-                       console.debug(`[WebSocket] Received message:`, message); // Original debug log
+                       const message = JSON.parse(event.data); // Logged in handleServerMessage
 
                        // Ignore internally generated messages (basic check)
                        if (message.type === 'internal') return;
@@ -117,6 +359,12 @@ function connectWebSocket() {
                    const oldWs = ws; // Capture the closing ws instance
                    ws = null; // Clear the global instance
 
+                   if (event.code === TOKEN_REVOKED_CLOSE_CODE) {
+                       storeAuth(null, null);
+                       requirePairing('Access for this browser was revoked. Please pair it again.');
+                       return;
+                   }
+
                    // Check if this closure is for the *current* connection attempt and not manual
                    if (oldWs && connectionState !== 'disconnected') { 
                        const errorMessage = event.reason ? `Connection closed: ${event.reason}` : `Connection lost (Code: ${event.code})`;
@@ -193,7 +441,10 @@ function closeWebSocket(manualDisconnect = true) {
  * @param {object} message - The already parsed message object from the server.
  */
 function handleServerMessage(message) {
-    console.debug("[handleServerMessage] Processing:", message); // Log the received object
+    // Audio arrives many times a second; logging its base64 would flood the console
+    if (!message?.content?.modelTurn?.parts?.some(part => part.inlineData)) {
+        console.debug("[handleServerMessage] Processing:", message);
+    }
 
     // Input validation: Ensure message is an object and has a type
     if (typeof message !== 'object' || message === null || typeof message.type !== 'string') {
@@ -206,31 +457,60 @@ function handleServerMessage(message) {
         case 'tts':
             if (typeof message.text === 'string') {
                 console.log("Received TTS request from server:", message.text.substring(0, 50) + "...");
-                // Use Chrome's TTS engine
-                chrome.tts.speak(message.text, { 'rate': 1.0 });
+                speakText(message.text); // Use Chrome's TTS engine
             } else {
                 console.error("[handleServerMessage] Invalid 'tts' message format:", message);
             }
             break;
 
-        case 'audio_response':
-            // Placeholder: Handle raw audio data if the server sends it
-            console.log("Received audio response from server (size/type check needed). Handling not implemented.");
-            // Example: If data is Base64 encoded in message.payload
-            // const audioBlob = base64ToBlob(message.payload, 'audio/webm'); // Need a utility function
-            // playAudioBlob(audioBlob); // Need a utility function
+        case 'serverContent': // Relayed Gemini BidiGenerateContentServerContent
+            if (typeof message.content === 'object' && message.content !== null) {
+                handleGeminiServerContent(message.content);
+            } else {
+                console.error("[handleServerMessage] Invalid 'serverContent' message format:", message);
+            }
             break;
 
         case 'status': // e.g., { type: 'status', message: 'AI connection ready.' }
              if (typeof message.message === 'string') {
                  console.log("Status update from server:", message.message);
-                 // Potentially update UI or internal state based on status
+                 // e.g. the server reconnecting to Gemini; the helper stays connected meanwhile
+                 if (connectionState === 'connected') {
+                     updatePopupState(message.message);
+                 }
              } else {
                  console.error("[handleServerMessage] Invalid 'status' message format:", message);
              }
             break;
 
         case 'error':
+            if (message.code === 'token_revoked') {
+                closeWebSocket();
+                storeAuth(null, null);
+                requirePairing(`${message.message} Please pair it again.`);
+                break;
+            }
+            if (HANDSHAKE_ERROR_CODES.includes(message.code)) {
+                // This extension version was rejected: retrying can't help until it is updated
+                console.warn(`[Background] Server rejected the handshake (${message.code}): ${message.message}`);
+                connectionInitiatedByUser = false;
+                sendErrorToPopup(message.message);
+                closeWebSocket(false);
+                break;
+            }
+            if (message.fatal === false) {
+                // Recoverable (e.g. while the server reconnects to Gemini, or a rate limit): keep the connection
+                console.warn(`[Background] Non-fatal server error${message.code ? ` (${message.code})` : ''}: ${message.message}`);
+                chrome.runtime.sendMessage({ action: 'showChatNotice', message: message.message }).catch(() => { /* Popup not open */ });
+                break;
+            }
+            if (message.code === 'quota_exceeded') {
+                // Out of quota or refused a session: show the server's explanation as is and don't retry
+                console.warn(`[Background] Server quota exceeded (${message.scope} ${message.quota}): ${message.message}`);
+                sendErrorToPopup(message.message);
+                closeWebSocket(false);
+                break;
+            }
             const errorMsg = message.message || message.error || 'Unknown server error'; // Handle message or error property
             console.error(`[handleServerMessage] Received error from server: ${errorMsg}`);
             sendErrorToPopup(`Server error: ${errorMsg}`);
@@ -239,6 +519,21 @@ function handleServerMessage(message) {
             closeWebSocket(false); // Don't auto-reconnect on server-reported errors
             break;
 
+        case 'browser_tool_call': // Assistant wants to act in the fitbox tab
+            handleBrowserToolCall(message);
+            break;
+
+        case 'browser_tool_cancel': // Gemini cancelled a call we may still be waiting on
+            if (pendingBrowserAction && pendingBrowserAction.id === message.id) {
+                console.log(`[Background] Browser tool call ${message.id} cancelled by server.`);
+                resolveBrowserActionConfirmation(message.id, false);
+            }
+            break;
+
+        case 'transcript': // Transcription of the user or the assistant, updated as it grows
+            handleTranscriptEntry(message);
+            break;
+
         case 'ai_ready': // Server confirms Gemini session is setup and ready
             console.log("[handleServerMessage] AI session is ready.");
             // Optional: Update UI or trigger other actions now that AI is confirmed ready
@@ -250,6 +545,213 @@ function handleServerMessage(message) {
     }
 }
 
+/**
+ * Stores a transcript entry (replacing the earlier version of the same entry) and
+ * forwards it to the popup.
+ * @param {{id: string, speaker: 'user'|'assistant', text: string, startedAt: string, endedAt: string|null, final: boolean}} entry
+ */
+function handleTranscriptEntry(entry) {
+    const { type, ...transcriptEntry } = entry;
+    const index = sessionTranscript.findIndex(existing => existing.id === transcriptEntry.id);
+    if (index !== -1) {
+        sessionTranscript[index] = transcriptEntry;
+    } else {
+        sessionTranscript.push(transcriptEntry);
+        if (sessionTranscript.length > MAX_TRANSCRIPT_ENTRIES) sessionTranscript.shift();
+    }
+    chrome.runtime.sendMessage({ action: 'transcriptUpdate', entry: transcriptEntry })
+        .catch(() => { /* Popup not open */ });
+}
+
+/**
+ * Handles a Gemini serverContent payload: queues inline audio for playback in the
+ * offscreen document and stops playback when the turn is interrupted or complete.
+ * @param {object} content - The `serverContent` object relayed by the server.
+ */
+function handleGeminiServerContent(content) {
+    if (content.interrupted) {
+        console.log("[Background] Gemini reported the turn was interrupted. Stopping playback.");
+        sendToOffscreen('stopPlayback'); // Also flushes the queued audio
+        stopTtsPlayback();
+        return;
+    }
+
+    const parts = content.modelTurn?.parts || [];
+    parts.forEach(part => {
+        const inlineData = part.inlineData;
+        if (inlineData && typeof inlineData.data === 'string' && inlineData.mimeType?.startsWith('audio/pcm')) {
+            sendToOffscreen('playAudioChunk', {
+                data: inlineData.data,
+                sampleRate: parseSampleRate(inlineData.mimeType)
+            });
+        } else if (typeof part.text === 'string') {
+            console.log("[Background] Gemini text part:", part.text.substring(0, 100));
+        }
+    });
+
+    if (content.turnComplete) {
+        console.log("[Background] Gemini reported turn complete.");
+        sendToOffscreen('endPlaybackTurn');
+    }
+}
+
+// --- Browser Tools ---
+
+/**
+ * Runs an assistant tool call in the fitbox tab and reports the result to the server.
+ * Tools outside BROWSER_TOOL_ALLOWLIST are refused; data-changing tools need the
+ * user's confirmation in the popup first.
+ * @param {{id: string, name: string, args?: object}} call - The 'browser_tool_call' message.
+ */
+async function handleBrowserToolCall(call) {
+    const tool = BROWSER_TOOL_ALLOWLIST[call.name];
+    const reply = (result) => sendMessageToServer({ type: 'browser_tool_result', id: call.id, ...result });
+
+    if (!tool) {
+        console.warn(`[Background] Refusing browser tool '${call.name}': not on the allow-list.`);
+        reply({ error: `Browser action '${call.name}' is not allowed.` });
+        return;
+    }
+
+    const argValue = call.args?.[tool.arg];
+    if (typeof argValue !== 'string' || !argValue.trim()) {
+        reply({ error: `Missing '${tool.arg}' for browser action '${call.name}'.` });
+        return;
+    }
+    if (tool.changesData) {
+        const approved = await requestBrowserActionConfirmation(call.id, call.name, `${call.name.replace(/_/g, ' ')}: "${argValue}"`);
+        if (!approved) {
+            reply({ error: 'The user declined this action.' });
+            return;
+        }
+    }
+
+    const tab = await getCurrentFitboxTab();
+    if (!tab) {
+        reply({ error: 'No fitbox tab is open.' });
+        return;
+    }
+
+    try {
+        const [injection] = await chrome.scripting.executeScript({
+            target: { tabId: tab.id },
+            func: tool.func,
+            args: [argValue]
+        });
+        console.log(`[Background] Browser tool '${call.name}' result:`, injection?.result);
+        reply({ result: injection?.result ?? { success: false, message: 'No result from page.' } });
+    } catch (error) {
+        console.error(`[Background] Browser tool '${call.name}' failed:`, error);
+        reply({ error: `Could not run the action in the fitbox tab: ${error.message}` });
+    }
+}
+
+// Asks the user (via the popup) to approve a data-changing action; resolves true/false
+function requestBrowserActionConfirmation(id, name, description) {
+    if (pendingBrowserAction) {
+        // Only one confirmation at a time: the newer request replaces the older one
+        resolveBrowserActionConfirmation(pendingBrowserAction.id, false);
+    }
+    return new Promise((resolve) => {
+        pendingBrowserAction = {
+            id,
+            name,
+            description,
+            resolve,
+            timeout: setTimeout(() => {
+                console.warn(`[Background] Confirmation for browser action ${id} timed out.`);
+                resolveBrowserActionConfirmation(id, false);
+            }, BROWSER_ACTION_CONFIRM_TIMEOUT_MS)
+        };
+        chrome.action.setBadgeText({ text: '?' });
+        chrome.runtime.sendMessage({ action: 'confirmBrowserAction', id, description })
+            .catch(() => console.log("[Background] Popup not open; waiting for user to open it to confirm."));
+    });
+}
+
+function resolveBrowserActionConfirmation(id, approved) {
+    if (!pendingBrowserAction || pendingBrowserAction.id !== id) {
+        return false;
+    }
+    const { resolve, timeout } = pendingBrowserAction;
+    clearTimeout(timeout);
+    pendingBrowserAction = null;
+    chrome.action.setBadgeText({ text: '' });
+    chrome.runtime.sendMessage({ action: 'browserActionResolved', id }).catch(() => {});
+    resolve(approved);
+    return true;
+}
+
+// --- Screen Sharing ---
+
+// Starts or stops the ~1 fps frame loop: only runs while sharing is on, the helper is
+// connected and the user is speaking
+function updateScreenFrameCapture() {
+    const shouldCapture = screenShareEnabled && isUserSpeaking && connectionState === 'connected';
+    if (shouldCapture && !screenFrameInterval) {
+        console.log("[Background] User speaking with screen sharing on. Sending fitbox frames.");
+        screenCaptureErrorReported = false;
+        captureAndSendScreenFrame();
+        screenFrameInterval = setInterval(captureAndSendScreenFrame, SCREEN_FRAME_INTERVAL_MS);
+        notifyScreenShareState();
+    } else if (!shouldCapture && screenFrameInterval) {
+        console.log("[Background] Stopped sending fitbox frames.");
+        clearInterval(screenFrameInterval);
+        screenFrameInterval = null;
+        notifyScreenShareState();
+    }
+}
+
+// Captures the visible fitbox tab as JPEG and sends it to the server
+async function captureAndSendScreenFrame() {
+    const tab = await getCurrentFitboxTab();
+    if (!tab || !tab.active) {
+        return; // Never capture anything other than the fitbox page the user is on
+    }
+    try {
+        const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, {
+            format: 'jpeg',
+            quality: SCREEN_FRAME_JPEG_QUALITY
+        });
+        sendMessageToServer({
+            type: 'video_frame',
+            mimeType: 'image/jpeg',
+            data: dataUrl.split(',', 2)[1]
+        });
+    } catch (error) {
+        console.warn("[Background] Failed to capture fitbox tab:", error.message);
+        if (!screenCaptureErrorReported) {
+            // E.g. the capture permission was revoked; the helper can't see the screen
+            screenCaptureErrorReported = true;
+            chrome.runtime.sendMessage({
+                action: 'showChatNotice',
+                message: `The helper can't see your fitbox screen (${error.message}). Switch screen sharing off and on to grant access again.`
+            }).catch(() => { /* Popup not open */ });
+        }
+    }
+}
+
+function setScreenShareEnabled(enabled) {
+    screenShareEnabled = enabled;
+    console.log(`[Background] Screen sharing ${enabled ? 'enabled' : 'disabled'} by user.`);
+    updateScreenFrameCapture();
+    notifyScreenShareState();
+}
+
+function notifyScreenShareState() {
+    chrome.runtime.sendMessage({
+        action: 'updateScreenShare',
+        enabled: screenShareEnabled,
+        sending: !!screenFrameInterval
+    }).catch(() => { /* Popup not open */ });
+}
+
+// Extracts the sample rate from a mime type such as 'audio/pcm;rate=24000'
+function parseSampleRate(mimeType) {
+    const match = /rate=(\d+)/.exec(mimeType || '');
+    return match ? parseInt(match[1], 10) : null;
+}
+
 function sendMessageToServer(message) {
     if (ws && ws.readyState === WebSocket.OPEN) {
         console.log(`[Background] (sendMessageToServer) Preparing to send type: ${message.type}...`); // <<< ADDED LOG
@@ -297,6 +799,7 @@ function speakText(text) {
             if (event.type === 'error') {
                 console.error('TTS Error:', event.errorMessage);
             }
+            isTtsSpeaking = event.type === 'start' || event.type === 'word' || event.type === 'sentence';
             // console.log('TTS Event:', event.type);
         }
     }, () => {
@@ -306,6 +809,20 @@ function speakText(text) {
     });
 }
 
+function setAssistantSpeaking(speaking) {
+    isAssistantSpeaking = speaking;
+    chrome.runtime.sendMessage({ action: 'updatePlaybackState', speaking }).catch(() => { /* Popup not open */ });
+}
+
+// Barge-in for TTS replies: chrome.tts doesn't go through the offscreen playback queue
+function stopTtsPlayback() {
+    if (isTtsSpeaking) {
+        console.log("[Background] Stopping TTS playback.");
+        chrome.tts.stop();
+        isTtsSpeaking = false;
+    }
+}
+
 // --- Offscreen Document Management ---
 async function hasOffscreenDocument(path) {
   if (chrome.runtime.getContexts) { // Manifest V3 check
@@ -353,8 +870,8 @@ async function setupOffscreenDocument() {
         console.log("Creating offscreen document...");
         await chrome.offscreen.createDocument({
             url: path,
-            reasons: [chrome.offscreen.Reason.USER_MEDIA],
-            justification: 'Microphone access for real-time voice commands to fitbox helper.',
+            reasons: [chrome.offscreen.Reason.USER_MEDIA, chrome.offscreen.Reason.AUDIO_PLAYBACK],
+            justification: 'Microphone access for real-time voice commands and playback of spoken replies from fitbox helper.',
         });
         console.log("Offscreen document creation initiated.");
 
@@ -401,7 +918,9 @@ function connectPortToOffscreen() {
 function sendToOffscreen(action, payload = null) {
     if (backgroundToOffscreenPort) {
         try {
-            console.log(`[Background] Sending action '${action}' to offscreen.`);
+            if (action !== 'playAudioChunk') { // Sent for every chunk of the reply
+                console.log(`[Background] Sending action '${action}' to offscreen.`);
+            }
             backgroundToOffscreenPort.postMessage({ action, payload });
         } catch (error) {
             console.error(`[Background] Error sending message to offscreen: ${error}`);
@@ -422,7 +941,9 @@ function sendToOffscreen(action, payload = null) {
 
 // Handle messages FROM the Offscreen Document via Port
 function handleOffscreenMessage(message) {
-    console.log("[Background Port Listener] Received from Offscreen:", message?.action);
+    if (message?.action !== 'audioChunk') { // Sent several times a second while capturing
+        console.log("[Background Port Listener] Received from Offscreen:", message?.action);
+    }
     if (!message || !message.action) {
         console.warn("[Background Port Listener] Invalid message format from offscreen.");
         return;
@@ -442,9 +963,11 @@ function handleOffscreenMessage(message) {
                  sendStartAISession(); // Send START first
  
                  console.log('[Background] Sending context message...');
-                 sendMessageToServer({ type: 'context', context: currentScreenContext }); // Send CONTEXT second
+                 sendMessageToServer(buildContextMessage()); // Send CONTEXT second
+                 requestPageContextFromTab(); // Page details follow once the content script answers
  
                  console.log('[Background] Starting offscreen audio capture...');
+                 sendToOffscreen('setCaptureMode', { mode: captureMode });
                  startOffscreenAudioCapture(); // Start CAPTURE last
             } else {
                  console.error("[Background] Offscreen ready, but WebSocket is unexpectedly not open! State:", ws?.readyState);
@@ -466,6 +989,34 @@ function handleOffscreenMessage(message) {
                  // console.warn("[Background] Received audio chunk but WebSocket not open or no data.");
             }
             break;
+        case 'speechActivity':
+            isUserSpeaking = !!message.speaking;
+            if (isUserSpeaking && captureMode !== 'push_to_talk') {
+                stopTtsPlayback();
+            }
+            updateScreenFrameCapture();
+            break;
+        case 'playbackState': // The assistant's reply audio started or finished playing
+            setAssistantSpeaking(!!message.playing);
+            break;
+        case 'playbackInterrupted': // The user talked over the reply; offscreen already flushed it
+            console.log(`[Background] User barged in (${message.reason}); reply playback stopped.`);
+            setAssistantSpeaking(false);
+            break;
+        case 'activityStart': // Speech segment boundaries in the push-to-talk and VAD modes
+        case 'activityEnd':
+            sendMessageToServer({ type: 'activity', event: message.action === 'activityStart' ? 'start' : 'end' });
+            break;
+        case 'captureModeFallback': // The chosen mode isn't possible with this capture format
+            console.warn(`[Background] Capture mode fell back to ${message.mode}: ${message.message}`);
+            applyCaptureMode(message.mode, false);
+            chrome.runtime.sendMessage({ action: 'showChatNotice', message: message.message }).catch(() => { /* Popup not open */ });
+            break;
+        case 'captureFormat':
+            // Tell the server how to interpret the binary audio frames that follow
+            console.log(`[Background] Offscreen capture format: ${message.format}`);
+            sendMessageToServer({ type: 'audio_format', format: message.format, sampleRate: message.sampleRate });
+            break;
          case 'microphoneLabel': // Handle the new message
              console.log(`[Background] Received microphone label from offscreen: ${message.label}`);
              // Store it or send it directly to popup
@@ -474,10 +1025,17 @@ function handleOffscreenMessage(message) {
              break;
         case 'audioError':
             console.error("[Background] Received audio error from offscreen:", message.message);
-            sendErrorToPopup(`Audio Capture Error: ${message.message}`);
-            // Consider stopping the session or attempting restart?
-             setConnectionState('error', 'Audio Capture Error');
-             stopOffscreenAudioCapture(); // Stop capture attempt
+            stopOffscreenAudioCapture(); // Stop capture attempt
+            if (ws && ws.readyState === WebSocket.OPEN) {
+                // Stay connected: the text chat still works without a microphone
+                chrome.runtime.sendMessage({
+                    action: 'showChatNotice',
+                    message: `Microphone unavailable (${message.message}). You can still type your questions.`
+                }).catch(() => { /* Popup not open */ });
+            } else {
+                sendErrorToPopup(`Audio Capture Error: ${message.message}`);
+                setConnectionState('error', 'Audio Capture Error');
+            }
             break;
          case 'offscreenError': // General errors from offscreen
               console.error("[Background] Received general error from offscreen:", message.error);
@@ -490,6 +1048,54 @@ function handleOffscreenMessage(message) {
     }
 }
 
+// --- Capture Modes ---
+
+/**
+ * Switches the capture mode for the offscreen document and the server session.
+ * @param {'always_on'|'push_to_talk'|'vad'} mode
+ * @param {boolean} [persist=true] False for a temporary fallback that shouldn't replace the user's choice.
+ */
+function applyCaptureMode(mode, persist = true) {
+    setPushToTalk(false);
+    captureMode = mode;
+    if (persist) {
+        chrome.storage.local.set({ captureMode: mode });
+    }
+    sendToOffscreen('setCaptureMode', { mode });
+    if (connectionState === 'connected') {
+        sendMessageToServer({ type: 'capture_mode', mode });
+    }
+    chrome.runtime.sendMessage({ action: 'updateCaptureMode', captureMode, pushToTalkActive }).catch(() => { /* Popup not open */ });
+}
+
+// Opens or closes a push-to-talk segment (popup button or keyboard shortcut)
+function setPushToTalk(active) {
+    if (active && (captureMode !== 'push_to_talk' || connectionState !== 'connected')) return;
+    if (pushToTalkActive === active) return;
+    pushToTalkActive = active;
+    if (active) stopTtsPlayback(); // Offscreen stops its own playback on the same press
+    clearTimeout(pushToTalkTimeout);
+    pushToTalkTimeout = active
+        ? setTimeout(() => {
+            console.log("[Background] Push-to-talk held too long, releasing.");
+            setPushToTalk(false);
+        }, PUSH_TO_TALK_MAX_MS)
+        : null;
+    sendToOffscreen('setPushToTalk', { active });
+    chrome.runtime.sendMessage({ action: 'updateCaptureMode', captureMode, pushToTalkActive }).catch(() => { /* Popup not open */ });
+}
+
+// Extension commands only report key presses (no release), so the shortcut toggles
+chrome.commands.onCommand.addListener((command) => {
+    if (command === 'push-to-talk') {
+        if (captureMode !== 'push_to_talk') {
+            console.log("[Background] Push-to-talk shortcut ignored: capture mode is", captureMode);
+            return;
+        }
+        setPushToTalk(!pushToTalkActive);
+    }
+});
+
 // --- Functions to control Offscreen Audio ---
 function startOffscreenAudioCapture() {
     console.log("[Background] Requesting offscreen document to START audio capture...");
@@ -538,40 +1144,98 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
              }
             break;
 
+        case 'pairDevice':
+        case 'signInWithGoogle':
+            isAsync = true;
+            (message.action === 'pairDevice' ? signIn('pair', { code: message.code }) : signInWithGoogle())
+                .then(client => sendResponse({ success: true, client }))
+                .catch(error => sendResponse({ success: false, error: error.message }));
+            break;
+
+        case 'signOut':
+            closeWebSocket();
+            storeAuth(null, null).then(() => sendResponse({ success: true }));
+            isAsync = true;
+            break;
+
         case 'closeConnection':
              console.log("Popup requested connection close.");
              closeWebSocket(); // true = manual disconnect
              sendResponse({ success: true });
             break;
 
+        // --- Content Script ---
+        case 'pageContext':
+            // Only the tab the user is looking at describes their current screen
+            if (sender.tab && sender.tab.active && FITBOX_PATTERN.test(sender.tab.url || '')) {
+                currentPageContext = message.context;
+                console.log("[Background] Page context updated:", currentPageContext?.headings);
+                if (connectionState === 'connected') {
+                    sendMessageToServer({ type: 'page_context', context: currentPageContext });
+                }
+            }
+            sendResponse({ success: true });
+            break;
+
+        case 'sendUserText': // Typed message from the popup's text chat
+            if (connectionState !== 'connected' || !ws || ws.readyState !== WebSocket.OPEN) {
+                sendResponse({ success: false, error: 'The helper is not connected.' });
+            } else if (typeof message.text !== 'string' || !message.text.trim()) {
+                sendResponse({ success: false, error: 'Please type a message.' });
+            } else {
+                sendMessageToServer({ type: 'user_text', text: message.text.trim() });
+                sendResponse({ success: true });
+            }
+            break;
+
+        case 'setScreenShare':
+            setScreenShareEnabled(!!message.enabled);
+            sendResponse({ success: true, enabled: screenShareEnabled });
+            break;
+
+        case 'setCaptureMode':
+            if (!CAPTURE_MODES.includes(message.mode)) {
+                sendResponse({ success: false, error: 'Unknown capture mode' });
+            } else {
+                applyCaptureMode(message.mode);
+                sendResponse({ success: true, captureMode });
+            }
+            break;
+
+        case 'setPushToTalk':
+            setPushToTalk(!!message.active);
+            sendResponse({ success: true, active: pushToTalkActive });
+            break;
+
+        case 'resolveBrowserAction':
+            console.log(`Popup ${message.approved ? 'approved' : 'declined'} browser action ${message.id}.`);
+            sendResponse({ success: resolveBrowserActionConfirmation(message.id, !!message.approved) });
+            break;
+
         case 'getBackgroundState':
             console.log("Popup requested background state.");
              isAsync = true; 
              getCurrentFitboxTab().then(tab => {
-                 let context = 'Unknown'; // Default context
-                 if (tab && tab.url) {
-                     try {
-                         const url = new URL(tab.url);
-                         context = url.pathname.substring(1).replace(/[^a-zA-Z0-9_-]/g, '_') || 'Dashboard';
-                     } catch { context = 'Fitbox_Tab'; }
-                     currentScreenContext = context;
-                     console.log("Sending state to popup:", { connectionState, currentScreenContext, currentMicrophoneLabel });
-                     sendResponse({ 
-                         success: true, 
-                         connectionState: connectionState, 
-                         screenContext: currentScreenContext,
-                         microphoneLabel: currentMicrophoneLabel
-                     });
-                 } else {
-                     currentScreenContext = 'Non-Fitbox_Tab'; 
-                     console.log("Sending state to popup:", { connectionState, currentScreenContext, currentMicrophoneLabel });
-                     sendResponse({ 
-                         success: true, 
-                         connectionState: connectionState, 
-                         screenContext: currentScreenContext,
-                         microphoneLabel: currentMicrophoneLabel
-                     });
-                 }
+                 ({ screen: currentScreenContext, params: currentScreenParams } = (tab && tab.url)
+                     ? getScreenContextFromUrl(tab.url)
+                     : { screen: 'Non-Fitbox_Tab', params: {} });
+                 console.log("Sending state to popup:", { connectionState, currentScreenContext, currentMicrophoneLabel });
+                 sendResponse({ 
+                     success: true, 
+                     connectionState: connectionState, 
+                     screenContext: currentScreenContext,
+                     microphoneLabel: currentMicrophoneLabel,
+                     screenShareEnabled: screenShareEnabled,
+                     screenShareSending: !!screenFrameInterval,
+                     transcript: sessionTranscript,
+                     authClient: authClient,
+                     captureMode: captureMode,
+                     pushToTalkActive: pushToTalkActive,
+                     assistantSpeaking: isAssistantSpeaking || isTtsSpeaking,
+                     pendingBrowserAction: pendingBrowserAction
+                         ? { id: pendingBrowserAction.id, description: pendingBrowserAction.description }
+                         : null
+                 });
              }).catch(error => {
                  console.error("Error getting current tab for state request:", error);
                  // Send current state even on error, but indicate context issue
@@ -633,6 +1297,14 @@ function setConnectionState(newState, statusMessage = null) {
             // setupOffscreenDocument(); // Will be implemented later
         }
     } else if (newState === 'disconnected' || newState === 'error') {
+        isUserSpeaking = false;
+        isAssistantSpeaking = false; // The offscreen document and its playback are closed below
+        stopTtsPlayback();
+        setPushToTalk(false);
+        updateScreenFrameCapture(); // Stops the frame loop
+        if (pendingBrowserAction) {
+            resolveBrowserActionConfirmation(pendingBrowserAction.id, false);
+        }
         // Ensure offscreen document and audio capture are stopped
         // Stop audio capture (send message via port if connected)
         if (backgroundToOffscreenPort) {
@@ -740,7 +1412,7 @@ console.log("Background service worker started.");
 
 // --- Helper: Base64 to ArrayBuffer ---
 function base64ToArrayBuffer(base64) {
-    console.log("[base64ToArrayBuffer] Decoding Base64 string of length:", base64.length);
+    // console.log("[base64ToArrayBuffer] Decoding Base64 string of length:", base64.length);
     try {
         const binaryString = atob(base64);
         const len = binaryString.length;
@@ -748,7 +1420,7 @@ function base64ToArrayBuffer(base64) {
         for (let i = 0; i < len; i++) {
             bytes[i] = binaryString.charCodeAt(i);
         }
-        console.log("[base64ToArrayBuffer] Decode successful, returning ArrayBuffer.");
+        // console.log("[base64ToArrayBuffer] Decode successful, returning ArrayBuffer.");
         return bytes.buffer;
     } catch (error) {
         console.error("[base64ToArrayBuffer] Error decoding Base64:", error);
@@ -776,7 +1448,9 @@ function readyStateToString(readyState) {
 function sendStartAISession() {
     if (ws && ws.readyState === WebSocket.OPEN) {
         console.log('[Background] (sendStartAISession) Preparing to send...');
-        ws.send(JSON.stringify({ type: 'start_ai_session' }));
+        sessionTranscript = []; // A new session starts a new transcript
+        chrome.runtime.sendMessage({ action: 'transcriptReset' }).catch(() => { /* Popup not open */ });
+        ws.send(JSON.stringify({ type: 'start_ai_session', captureMode }));
         console.log('[Background] (sendStartAISession) ...message sent.');
     } else {
         console.error('[Background] Cannot send start_ai_session: WebSocket not open or ready.');
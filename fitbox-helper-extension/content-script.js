@@ -0,0 +1,65 @@
+// content-script.js - Runs on fitbox IQ pages and reports the page context to the background
+
+const CONTEXT_DEBOUNCE_MS = 1000; // Wait for the page to settle after DOM changes
+const CONTEXT_MAX_WAIT_MS = 5000; // ...but report at least this often while it keeps changing
+let lastSentContext = null; // JSON of the last context sent, to skip duplicates
+let contextTimer = null;
+let pendingSince = null; // When the first change of the pending report happened
+
+// Extracts the page context and sends it to the background if it changed
+function reportPageContext() {
+    clearTimeout(contextTimer);
+    contextTimer = null;
+    pendingSince = null;
+    let context;
+    try {
+        context = parseDOMForContext(document); // From utils/domParser.js
+    } catch (error) {
+        console.error("[Fitbox Helper] Failed to parse page context:", error);
+        return;
+    }
+
+    const serialized = JSON.stringify(context);
+    if (serialized === lastSentContext) {
+        return;
+    }
+    lastSentContext = serialized;
+
+    chrome.runtime.sendMessage({ action: 'pageContext', context }).catch(error => {
+        // Happens while the extension reloads; the next change will be sent again
+        console.warn("[Fitbox Helper] Could not send page context:", error.message);
+        lastSentContext = null;
+    });
+}
+
+// Debounced, with a maximum wait so pages that never settle (spinners, animations) still report
+function scheduleContextReport() {
+    const now = Date.now();
+    if (pendingSince === null) pendingSince = now;
+    clearTimeout(contextTimer);
+    const delay = Math.min(CONTEXT_DEBOUNCE_MS, pendingSince + CONTEXT_MAX_WAIT_MS - now);
+    contextTimer = setTimeout(reportPageContext, Math.max(delay, 0));
+}
+
+// fitbox IQ is a single-page app: watch the DOM and hash for screen changes. Class changes
+// aren't watched: animations toggle them constantly, and tabs and errors have ARIA attributes.
+new MutationObserver(scheduleContextReport).observe(document.body, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['aria-selected', 'aria-invalid']
+});
+window.addEventListener('hashchange', scheduleContextReport);
+window.addEventListener('popstate', scheduleContextReport);
+
+// The background asks for a fresh report when a helper session starts
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action === 'requestPageContext') {
+        lastSentContext = null;
+        reportPageContext();
+        sendResponse({ success: true });
+    }
+    return false;
+});
+
+scheduleContextReport();
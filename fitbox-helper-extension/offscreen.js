@@ -6,7 +6,46 @@ let mediaRecorder;
 let audioStream;
 let backgroundPort = null; // Port for communicating back to the background script
 let isRecording = false;
-const TIMESLICE_MS = 1000; // Send audio chunks every second
+const TIMESLICE_MS = 1000; // MediaRecorder fallback: send WebM chunks every second
+
+// Preferred capture path: AudioWorklet producing raw PCM frames
+const PCM_WORKLET_PATH = 'pcm-capture-worklet.js';
+const PCM_SAMPLE_RATE = 16000; // Gemini Live input format: 16-bit PCM, 16kHz, mono
+const PCM_FRAME_MS = 100; // Frame size sent to the server
+let captureContext = null;
+let captureSourceNode = null;
+let captureWorkletNode = null;
+
+// Simple energy-based voice activity detection on the PCM frames
+const SPEECH_RMS_THRESHOLD = 0.02; // Frame RMS (0-1) above which we treat the frame as speech
+const SPEECH_HANGOVER_MS = 800; // Keep "speaking" this long after the last loud frame
+let isUserSpeaking = false;
+let lastSpeechFrameTime = 0;
+
+// Barge-in: speech during a reply stops its playback. Needs echo cancellation, or the
+// assistant's own voice from the speakers would interrupt it.
+const MIC_CONSTRAINTS = { echoCancellation: true, noiseSuppression: true, autoGainControl: true };
+const BARGE_IN_MIN_LOUD_FRAMES = 2; // ~200ms of speech, so a cough or a click doesn't cut the reply
+let localBargeInEnabled = false; // Only once echo cancellation is confirmed on the track
+let loudFramesDuringPlayback = 0;
+
+// Capture modes (chosen in the popup): 'always_on' streams everything; 'push_to_talk' and
+// 'vad' only send audio between activityStart and activityEnd
+let captureMode = 'always_on';
+let isPushToTalkActive = false;
+let isActivityOpen = false; // An activityStart was sent without its activityEnd yet
+const VAD_PRE_ROLL_MS = 300; // Audio kept from just before speech starts, so the first word isn't cut
+let preRollFrames = [];
+let usesWebmCapture = false; // Set while the MediaRecorder fallback is capturing
+
+// Playback state for Gemini audio replies (raw 16-bit PCM, 24kHz by default)
+const DEFAULT_PLAYBACK_SAMPLE_RATE = 24000;
+let playbackContext = null;
+let nextPlaybackTime = 0; // AudioContext time at which the next queued chunk should start
+let activePlaybackSources = new Set(); // Sources scheduled but not yet ended
+let playbackTurnComplete = false; // Gemini finished the turn; stop once the queue drains
+let isPlaybackActive = false; // Reported to the background as 'playbackState'
+let discardingInterruptedReply = false; // After a local barge-in, drop the rest of that reply
 
 // --- Port Communication ---
 
@@ -23,6 +62,7 @@ chrome.runtime.onConnect.addListener((port) => {
         backgroundPort.onDisconnect.addListener(() => {
             console.log("[Offscreen] Background port disconnected.");
             stopAudioCaptureInternal(); // Stop recording if background disconnects
+            stopPlaybackInternal(); // Nobody left to hear the reply
             backgroundPort = null;
         });
 
@@ -37,15 +77,15 @@ chrome.runtime.onConnect.addListener((port) => {
 
 // Handles messages received via the Port connection
 function handleBackgroundMessage(message) {
-     console.log("[Offscreen Port Listener] Raw message received. Action:", message?.action);
     if (!message || typeof message !== 'object' || !message.action) {
         console.error("[Offscreen Port Listener] Invalid message received:", message);
         return;
     }
-    console.log(`[Offscreen Port Listener] Starting to process action: ${message.action}`);
+    if (message.action !== 'playAudioChunk') { // Sent for every chunk of the reply
+        console.log(`[Offscreen Port Listener] Received action: ${message.action}`);
+    }
 
      if (typeof messageHandlers[message.action] === 'function') {
-         console.log(`[Offscreen Port Listener] Message structure valid, entering switch for action: ${message.action}`);
         messageHandlers[message.action](message.payload); // Pass payload if needed
      } else {
          console.warn(`[Offscreen Port Listener] No handler for action: ${message.action}`);
@@ -56,7 +96,12 @@ function handleBackgroundMessage(message) {
 
 const messageHandlers = {
     startAudioCapture: startAudioCaptureInternal,
-    stopAudioCapture: stopAudioCaptureInternal
+    stopAudioCapture: stopAudioCaptureInternal,
+    playAudioChunk: playAudioChunkInternal,
+    stopPlayback: stopPlaybackForServer,
+    endPlaybackTurn: endPlaybackTurnInternal,
+    setCaptureMode: setCaptureModeInternal,
+    setPushToTalk: setPushToTalkInternal
 };
 
 // Helper to send messages TO the background script via the port
@@ -86,8 +131,9 @@ async function startAudioCaptureInternal() {
     }
 
     try {
-        audioStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        audioStream = await navigator.mediaDevices.getUserMedia({ audio: MIC_CONSTRAINTS });
         console.log("[Offscreen] Microphone access granted.");
+        checkEchoCancellation(audioStream);
 
         // --- Log and Send the microphone label ---
         const audioTracks = audioStream.getAudioTracks();
@@ -102,56 +148,15 @@ async function startAudioCaptureInternal() {
         }
         // --- End log/send microphone label ---
 
-        // --- IMPORTANT: MediaRecorder Format ---
-        // Browsers typically default to opus in webm or ogg.
-        // Gemini *might* require raw PCM 16kHz 16-bit.
-        // For now, let's use the default and send what we get.
-        // We may need to add transcoding later if this fails.
-        const options = { mimeType: 'audio/webm;codecs=opus' }; // Example, adjust if needed
+        // Prefer streaming raw PCM straight from an AudioWorklet; Gemini expects
+        // 16-bit 16kHz mono, so the server can pass these frames through untouched.
         try {
-             mediaRecorder = new MediaRecorder(audioStream, options);
-        } catch (e) {
-             console.warn(`[Offscreen] Failed to create MediaRecorder with options ${JSON.stringify(options)}, trying default:`, e);
-             mediaRecorder = new MediaRecorder(audioStream); // Fallback to browser default
+            await startPcmCapture(audioStream);
+        } catch (workletError) {
+            console.warn("[Offscreen] PCM AudioWorklet capture unavailable, falling back to MediaRecorder:", workletError);
+            await stopPcmCapture();
+            startMediaRecorderCapture(audioStream);
         }
-       
-        console.log("[Offscreen] MediaRecorder created. MimeType:", mediaRecorder.mimeType);
-
-
-        mediaRecorder.ondataavailable = (event) => {
-            if (event.data.size > 0 && backgroundPort) {
-               // console.log("[Offscreen] ondataavailable event, data size:", event.data.size);
-                // Convert Blob to Base64 and send to background
-                blobToBase64(event.data)
-                    .then(base64String => {
-                        sendToBackground({ action: 'audioChunk', data: base64String });
-                    })
-                    .catch(error => {
-                        console.error("[Offscreen] Error converting blob to Base64:", error);
-                    });
-            }
-        };
-
-        mediaRecorder.onstop = () => {
-            console.log("[Offscreen] MediaRecorder stopped.");
-            isRecording = false;
-            // Ensure stream tracks are stopped *after* recorder is fully stopped
-            if (audioStream) {
-                 audioStream.getTracks().forEach(track => track.stop());
-                 console.log("[Offscreen] Microphone stream tracks stopped.");
-                 audioStream = null;
-            }
-        };
-
-        mediaRecorder.onerror = (event) => {
-            console.error("[Offscreen] MediaRecorder error:", event.error);
-            stopAudioCaptureInternal(); // Stop on error
-             sendToBackground({ action: 'audioError', message: event.error.message || 'Unknown MediaRecorder error' });
-        };
-
-        mediaRecorder.start(TIMESLICE_MS); // Record in chunks
-        isRecording = true;
-        console.log(`[Offscreen] MediaRecorder started, recording in ${TIMESLICE_MS}ms chunks.`);
 
     } catch (error) {
         console.error("[Offscreen] Error starting audio capture:", error);
@@ -160,8 +165,257 @@ async function startAudioCaptureInternal() {
     }
 }
 
+// Captures the microphone through pcm-capture-worklet.js and sends ~100ms PCM frames
+async function startPcmCapture(stream) {
+    // Ask for a 16kHz context so the browser resamples for us; the worklet
+    // still resamples itself if the context ends up at a different rate.
+    captureContext = new AudioContext({ sampleRate: PCM_SAMPLE_RATE });
+    await captureContext.audioWorklet.addModule(PCM_WORKLET_PATH);
+
+    captureSourceNode = captureContext.createMediaStreamSource(stream);
+    captureWorkletNode = new AudioWorkletNode(captureContext, 'pcm-capture-processor', {
+        processorOptions: { frameMs: PCM_FRAME_MS }
+    });
+
+    captureWorkletNode.port.onmessage = (event) => {
+        if (!backgroundPort || !isRecording) return;
+        updateSpeechActivity(new Int16Array(event.data));
+        handleCapturedFrame({ action: 'audioChunk', format: 'pcm16', data: arrayBufferToBase64(event.data) });
+    };
+
+    captureSourceNode.connect(captureWorkletNode);
+    // The worklet outputs silence; it is connected only so the graph keeps pulling input
+    captureWorkletNode.connect(captureContext.destination);
+
+    isRecording = true;
+    sendToBackground({ action: 'captureFormat', format: 'pcm16', sampleRate: PCM_SAMPLE_RATE });
+    console.log(`[Offscreen] PCM capture started (context ${captureContext.sampleRate}Hz -> ${PCM_SAMPLE_RATE}Hz, ${PCM_FRAME_MS}ms frames).`);
+}
+
+// Tears down the AudioWorklet capture graph, if any
+async function stopPcmCapture() {
+    if (captureWorkletNode) {
+        captureWorkletNode.port.onmessage = null;
+        captureWorkletNode.disconnect();
+        captureWorkletNode = null;
+    }
+    if (captureSourceNode) {
+        captureSourceNode.disconnect();
+        captureSourceNode = null;
+    }
+    if (captureContext) {
+        const context = captureContext;
+        captureContext = null;
+        try {
+            await context.close();
+        } catch (e) {
+            console.warn("[Offscreen] Error closing capture AudioContext:", e);
+        }
+        console.log("[Offscreen] PCM capture stopped.");
+    }
+}
+
+// Fallback: record WebM/Opus chunks that the server transcodes with ffmpeg
+function startMediaRecorderCapture(stream) {
+    const options = { mimeType: 'audio/webm;codecs=opus' };
+    try {
+         mediaRecorder = new MediaRecorder(stream, options);
+    } catch (e) {
+         console.warn(`[Offscreen] Failed to create MediaRecorder with options ${JSON.stringify(options)}, trying default:`, e);
+         mediaRecorder = new MediaRecorder(stream); // Fallback to browser default
+    }
+
+    console.log("[Offscreen] MediaRecorder created. MimeType:", mediaRecorder.mimeType);
+
+
+    // WebM chunks depend on each other, so this path cannot drop audio outside speech.
+    // Push-to-talk still works through the activity boundaries; VAD needs PCM frames.
+    usesWebmCapture = true;
+    if (captureMode === 'vad') fallBackFromVad();
+    mediaRecorder.ondataavailable = (event) => {
+        if (event.data.size > 0 && backgroundPort) {
+           // console.log("[Offscreen] ondataavailable event, data size:", event.data.size);
+            // Convert Blob to Base64 and send to background
+            blobToBase64(event.data)
+                .then(base64String => {
+                    sendToBackground({ action: 'audioChunk', format: 'webm', data: base64String });
+                })
+                .catch(error => {
+                    console.error("[Offscreen] Error converting blob to Base64:", error);
+                });
+        }
+    };
+
+    mediaRecorder.onstop = () => {
+        console.log("[Offscreen] MediaRecorder stopped.");
+        isRecording = false;
+        // Ensure stream tracks are stopped *after* recorder is fully stopped
+        if (audioStream) {
+             audioStream.getTracks().forEach(track => track.stop());
+             console.log("[Offscreen] Microphone stream tracks stopped.");
+             audioStream = null;
+        }
+    };
+
+    mediaRecorder.onerror = (event) => {
+        console.error("[Offscreen] MediaRecorder error:", event.error);
+        stopAudioCaptureInternal(); // Stop on error
+         sendToBackground({ action: 'audioError', message: event.error.message || 'Unknown MediaRecorder error' });
+    };
+
+    mediaRecorder.start(TIMESLICE_MS); // Record in chunks
+    isRecording = true;
+    sendToBackground({ action: 'captureFormat', format: 'webm' });
+    console.log(`[Offscreen] MediaRecorder started, recording in ${TIMESLICE_MS}ms chunks.`);
+}
+
+// Tracks whether the user is speaking and tells the background when that changes
+function updateSpeechActivity(frame) {
+    let sumSquares = 0;
+    for (let i = 0; i < frame.length; i++) {
+        const sample = frame[i] / 0x8000;
+        sumSquares += sample * sample;
+    }
+    const rms = Math.sqrt(sumSquares / (frame.length || 1));
+    const now = Date.now();
+    if (rms >= SPEECH_RMS_THRESHOLD) {
+        lastSpeechFrameTime = now;
+    }
+
+    const speaking = now - lastSpeechFrameTime < SPEECH_HANGOVER_MS;
+    if (speaking !== isUserSpeaking) {
+        isUserSpeaking = speaking;
+        sendToBackground({ action: 'speechActivity', speaking });
+    }
+
+    // In push-to-talk, talking without holding the button is not meant for the helper
+    if (isPlaybackActive && localBargeInEnabled && captureMode !== 'push_to_talk') {
+        loudFramesDuringPlayback = rms >= SPEECH_RMS_THRESHOLD ? loudFramesDuringPlayback + 1 : 0;
+        if (loudFramesDuringPlayback >= BARGE_IN_MIN_LOUD_FRAMES) {
+            bargeIn('speech');
+        }
+    } else {
+        loudFramesDuringPlayback = 0;
+    }
+}
+
+// Barge-in relies on the browser cancelling the assistant's voice from the microphone
+function checkEchoCancellation(stream) {
+    const settings = stream.getAudioTracks()[0]?.getSettings() || {};
+    localBargeInEnabled = settings.echoCancellation === true;
+    if (localBargeInEnabled) {
+        console.log("[Offscreen] Echo cancellation is on; local barge-in enabled.");
+    } else {
+        console.warn("[Offscreen] Echo cancellation is not available on this microphone; only Gemini's interruptions stop playback.");
+    }
+}
+
+/**
+ * Stops the assistant's reply because the user started talking over it. The rest of
+ * that reply is dropped until Gemini confirms the interruption or ends the turn.
+ * @param {'speech'|'push_to_talk'} reason
+ */
+function bargeIn(reason) {
+    if (!isPlaybackActive) return;
+    console.log(`[Offscreen] Barge-in (${reason}): stopping the assistant's reply.`);
+    discardingInterruptedReply = !playbackTurnComplete; // Nothing more is coming once the turn is complete
+    loudFramesDuringPlayback = 0;
+    stopPlaybackInternal();
+    sendToBackground({ action: 'playbackInterrupted', reason });
+}
+
+// --- Capture Modes ---
+
+function setCaptureModeInternal(payload) {
+    const mode = payload?.mode;
+    if (!['always_on', 'push_to_talk', 'vad'].includes(mode)) {
+        console.warn("[Offscreen] Ignoring unknown capture mode:", mode);
+        return;
+    }
+    console.log(`[Offscreen] Capture mode: ${captureMode} -> ${mode}`);
+    captureMode = mode;
+    isPushToTalkActive = false;
+    preRollFrames = [];
+    closeActivity(); // A new mode starts without an open speech segment
+    if (captureMode === 'vad' && usesWebmCapture) fallBackFromVad();
+}
+
+// Voice activity detection reads PCM frames, which the WebM fallback doesn't have
+function fallBackFromVad() {
+    console.warn("[Offscreen] VAD capture needs PCM audio; falling back to always-on.");
+    captureMode = 'always_on';
+    sendToBackground({ action: 'captureModeFallback', mode: 'always_on', message: 'Voice activation is not supported by this browser, so the microphone stays on.' });
+}
+
+function setPushToTalkInternal(payload) {
+    isPushToTalkActive = !!payload?.active;
+    if (captureMode !== 'push_to_talk') return;
+    if (isPushToTalkActive) {
+        bargeIn('push_to_talk'); // Pressing to talk always cuts the assistant off
+        openActivity();
+    } else {
+        closeActivity();
+    }
+}
+
+function openActivity() {
+    if (isActivityOpen) return;
+    isActivityOpen = true;
+    sendToBackground({ action: 'activityStart' });
+}
+
+function closeActivity() {
+    if (!isActivityOpen) return;
+    isActivityOpen = false;
+    sendToBackground({ action: 'activityEnd' });
+}
+
+/**
+ * Sends or holds back a captured PCM frame depending on the capture mode. In VAD mode
+ * speech opens an activity (preceded by the pre-roll frames) and the end of the
+ * speech hangover closes it.
+ * @param {{action: 'audioChunk', format: 'pcm16', data: string}} chunk
+ */
+function handleCapturedFrame(chunk) {
+    if (captureMode === 'vad') {
+        if (isUserSpeaking && !isActivityOpen) {
+            openActivity();
+            preRollFrames.forEach(frame => sendToBackground(frame));
+            preRollFrames = [];
+        } else if (!isUserSpeaking && isActivityOpen) {
+            closeActivity();
+        }
+        if (!isActivityOpen) {
+            preRollFrames.push(chunk);
+            if (preRollFrames.length > Math.ceil(VAD_PRE_ROLL_MS / PCM_FRAME_MS)) preRollFrames.shift();
+            return;
+        }
+    } else if (captureMode === 'push_to_talk' && !isActivityOpen) {
+        return;
+    }
+    sendToBackground(chunk);
+}
+
 function stopAudioCaptureInternal() {
     console.log("[Offscreen] Received request to stop audio capture.");
+    isPushToTalkActive = false;
+    preRollFrames = [];
+    closeActivity();
+    if (isUserSpeaking) {
+        isUserSpeaking = false;
+        sendToBackground({ action: 'speechActivity', speaking: false });
+    }
+    if (captureContext) {
+        stopPcmCapture();
+        isRecording = false;
+        if (audioStream) {
+            audioStream.getTracks().forEach(track => track.stop());
+            console.log("[Offscreen] Microphone stream tracks stopped.");
+            audioStream = null;
+        }
+        return;
+    }
+
     if (!isRecording && !mediaRecorder) {
         console.log("[Offscreen] Not recording, nothing to stop.");
          // Ensure stream tracks are stopped even if recorder wasn't fully started
@@ -189,11 +443,151 @@ function stopAudioCaptureInternal() {
     
     // Clear references
     mediaRecorder = null;
+    usesWebmCapture = false;
+}
+
+
+// --- Audio Playback Logic ---
+
+/**
+ * Queues a chunk of raw PCM audio from Gemini for gapless playback.
+ * Chunks are scheduled back-to-back on a single AudioContext timeline, so
+ * playback continues smoothly as long as chunks arrive faster than real time.
+ * @param {{data: string, sampleRate?: number}} payload Base64 encoded 16-bit little-endian mono PCM.
+ */
+function playAudioChunkInternal(payload) {
+    if (!payload || typeof payload.data !== 'string') {
+        console.error("[Offscreen] Invalid audio chunk payload for playback:", payload);
+        return;
+    }
+    if (discardingInterruptedReply) {
+        return; // Tail of a reply the user talked over
+    }
+    const sampleRate = payload.sampleRate || DEFAULT_PLAYBACK_SAMPLE_RATE;
+
+    try {
+        // Recreate the context if the reply arrives at a different rate than the last one
+        if (!playbackContext || playbackContext.sampleRate !== sampleRate) {
+            if (playbackContext) {
+                stopPlaybackInternal();
+                playbackContext.close();
+            }
+            playbackContext = new AudioContext({ sampleRate });
+            nextPlaybackTime = 0;
+            console.log(`[Offscreen] Playback AudioContext created at ${sampleRate}Hz.`);
+        }
+        if (playbackContext.state === 'suspended') {
+            playbackContext.resume();
+        }
+        playbackTurnComplete = false;
+
+        const samples = pcm16Base64ToFloat32(payload.data);
+        if (samples.length === 0) {
+            return;
+        }
+
+        const audioBuffer = playbackContext.createBuffer(1, samples.length, sampleRate);
+        audioBuffer.copyToChannel(samples, 0);
+
+        const source = playbackContext.createBufferSource();
+        source.buffer = audioBuffer;
+        source.connect(playbackContext.destination);
+
+        // If the queue ran dry, start slightly in the future instead of in the past
+        const startTime = Math.max(nextPlaybackTime, playbackContext.currentTime + 0.05);
+        source.start(startTime);
+        nextPlaybackTime = startTime + audioBuffer.duration;
+
+        activePlaybackSources.add(source);
+        setPlaybackActive(true);
+        source.onended = () => {
+            activePlaybackSources.delete(source);
+            if (playbackTurnComplete && activePlaybackSources.size === 0) {
+                finishPlayback();
+            }
+        };
+    } catch (error) {
+        console.error("[Offscreen] Error queuing audio chunk for playback:", error);
+        sendToBackground({ action: 'offscreenError', error: `Audio playback failed: ${error.message}` });
+    }
+}
+
+// Stops any reply audio that is playing and drops everything still queued
+function stopPlaybackInternal() {
+    if (activePlaybackSources.size > 0) {
+        console.log(`[Offscreen] Stopping playback, discarding ${activePlaybackSources.size} queued chunk(s).`);
+    }
+    activePlaybackSources.forEach(source => {
+        source.onended = null;
+        try {
+            source.stop();
+        } catch (e) {
+            // Source may not have started yet or already ended; nothing to do
+        }
+    });
+    activePlaybackSources.clear();
+    finishPlayback();
+}
+
+// Gemini reported the reply was interrupted: the next audio belongs to a new reply
+function stopPlaybackForServer() {
+    discardingInterruptedReply = false;
+    stopPlaybackInternal();
+}
+
+// Gemini reported turnComplete: let the already queued audio play out, then stop
+function endPlaybackTurnInternal() {
+    discardingInterruptedReply = false;
+    playbackTurnComplete = true;
+    if (activePlaybackSources.size === 0) {
+        finishPlayback();
+    }
+}
+
+// Resets the playback timeline and releases the audio output until the next reply
+function finishPlayback() {
+    playbackTurnComplete = false;
+    nextPlaybackTime = 0;
+    setPlaybackActive(false);
+    if (playbackContext && playbackContext.state === 'running') {
+        playbackContext.suspend();
+    }
+}
+
+function setPlaybackActive(active) {
+    if (isPlaybackActive === active) return;
+    isPlaybackActive = active;
+    sendToBackground({ action: 'playbackState', playing: active });
 }
 
 
 // --- Utility Functions ---
 
+// Converts Base64 encoded 16-bit little-endian PCM to Float32 samples in [-1, 1]
+function pcm16Base64ToFloat32(base64) {
+    const binaryString = atob(base64);
+    const sampleCount = Math.floor(binaryString.length / 2);
+    const samples = new Float32Array(sampleCount);
+    for (let i = 0; i < sampleCount; i++) {
+        const lo = binaryString.charCodeAt(i * 2);
+        const hi = binaryString.charCodeAt(i * 2 + 1);
+        let value = (hi << 8) | lo;
+        if (value >= 0x8000) value -= 0x10000; // Sign-extend
+        samples[i] = value / 0x8000;
+    }
+    return samples;
+}
+
+// Converts an ArrayBuffer to a Base64 encoded string
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binaryString = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binaryString += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binaryString);
+}
+
 // Converts a Blob to a Base64 encoded string
 function blobToBase64(blob) {
     return new Promise((resolve, reject) => {
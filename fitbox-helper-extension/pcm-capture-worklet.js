@@ -0,0 +1,94 @@
+// pcm-capture-worklet.js - AudioWorklet that turns microphone input into 16kHz 16-bit PCM frames
+
+const TARGET_SAMPLE_RATE = 16000;
+const ANTI_ALIAS_CUTOFF_HZ = TARGET_SAMPLE_RATE * 0.45; // Just below the 8kHz Nyquist limit
+const BUTTERWORTH_Q = [0.5412, 1.3066]; // Two biquads make a 4th-order Butterworth low-pass
+
+// Low-pass biquad (Audio EQ Cookbook) with its own filter state
+function createLowPass(cutoffHz, rate, q) {
+    const w0 = 2 * Math.PI * cutoffHz / rate;
+    const alpha = Math.sin(w0) / (2 * q);
+    const cos = Math.cos(w0);
+    const a0 = 1 + alpha;
+    return {
+        b0: (1 - cos) / 2 / a0, b1: (1 - cos) / a0, b2: (1 - cos) / 2 / a0,
+        a1: -2 * cos / a0, a2: (1 - alpha) / a0,
+        x1: 0, x2: 0, y1: 0, y2: 0
+    };
+}
+
+function applyLowPass(filter, samples) {
+    for (let i = 0; i < samples.length; i++) {
+        const x = samples[i];
+        const y = filter.b0 * x + filter.b1 * filter.x1 + filter.b2 * filter.x2 - filter.a1 * filter.y1 - filter.a2 * filter.y2;
+        filter.x2 = filter.x1;
+        filter.x1 = x;
+        filter.y2 = filter.y1;
+        filter.y1 = y;
+        samples[i] = y;
+    }
+}
+
+/**
+ * Collects mono input samples, resamples them to 16kHz if the AudioContext runs at a
+ * different rate (low-pass filtered first when downsampling, so it doesn't alias), and
+ * posts fixed-size Int16 frames (as transferable ArrayBuffers) back to the offscreen document.
+ */
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const frameMs = options?.processorOptions?.frameMs || 100;
+        this.frameSamples = Math.round(TARGET_SAMPLE_RATE * frameMs / 1000);
+        this.frame = new Int16Array(this.frameSamples);
+        this.frameOffset = 0;
+        // `sampleRate` is the AudioWorkletGlobalScope rate of the owning context
+        this.step = sampleRate / TARGET_SAMPLE_RATE;
+        this.position = 0; // Fractional read position carried across render quanta (-1 is the previous quantum's last sample)
+        this.previousSample = 0;
+        this.filters = this.step > 1 ? BUTTERWORTH_Q.map(q => createLowPass(ANTI_ALIAS_CUTOFF_HZ, sampleRate, q)) : [];
+        this.filtered = new Float32Array(128);
+    }
+
+    process(inputs) {
+        const channel = inputs[0] && inputs[0][0];
+        if (!channel) {
+            return true; // No input connected yet; keep the processor alive
+        }
+
+        if (this.step === 1) {
+            for (let i = 0; i < channel.length; i++) {
+                this.pushSample(channel[i]);
+            }
+        } else {
+            if (this.filtered.length !== channel.length) this.filtered = new Float32Array(channel.length);
+            const samples = this.filtered;
+            samples.set(channel);
+            this.filters.forEach(filter => applyLowPass(filter, samples));
+
+            // Linear interpolation resampling from the context rate to 16kHz
+            while (this.position < samples.length - 1) {
+                const index = Math.floor(this.position);
+                const fraction = this.position - index;
+                const current = index < 0 ? this.previousSample : samples[index];
+                this.pushSample(current + (samples[index + 1] - current) * fraction);
+                this.position += this.step;
+            }
+            this.position -= samples.length;
+            this.previousSample = samples[samples.length - 1];
+        }
+        return true;
+    }
+
+    pushSample(value) {
+        const clamped = Math.max(-1, Math.min(1, value));
+        this.frame[this.frameOffset++] = clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff;
+        if (this.frameOffset === this.frameSamples) {
+            const buffer = this.frame.buffer;
+            this.port.postMessage(buffer, [buffer]);
+            this.frame = new Int16Array(this.frameSamples);
+            this.frameOffset = 0;
+        }
+    }
+}
+
+registerProcessor('pcm-capture-processor', PcmCaptureProcessor);
@@ -4,6 +4,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const connectingView = document.getElementById('connectingView');
     const connectedView = document.getElementById('connectedView');
     const errorView = document.getElementById('errorView');
+    const pairingView = document.getElementById('pairingView');
 
     const connectBtn = document.getElementById('connectBtn');
     const cancelConnectBtn = document.getElementById('cancelConnectBtn');
@@ -17,10 +18,33 @@ document.addEventListener('DOMContentLoaded', () => {
     const connectionContext = document.getElementById('connectionContext'); // Added
     const errorText = document.getElementById('errorText');
     const micLabelSpan = document.getElementById('mic-label'); // Get the new element
+    const confirmActionPanel = document.getElementById('confirmActionPanel');
+    const confirmActionText = document.getElementById('confirmActionText');
+    const approveActionBtn = document.getElementById('approveActionBtn');
+    const declineActionBtn = document.getElementById('declineActionBtn');
+    let pendingActionId = null; // Browser action awaiting the user's decision
+    const screenShareToggle = document.getElementById('screenShareToggle');
+    const screenShareIndicator = document.getElementById('screenShareIndicator');
+    const transcriptContainer = document.getElementById('transcript');
+    const chatForm = document.getElementById('chatForm');
+    const chatInput = document.getElementById('chatInput');
+    const chatError = document.getElementById('chatError');
+    const captureModeSelect = document.getElementById('captureModeSelect');
+    const pushToTalkBtn = document.getElementById('pushToTalkBtn');
+    const listeningStatus = document.getElementById('listeningStatus');
+    const signedInText = document.getElementById('signedInText');
+    const signedInUser = document.getElementById('signedInUser');
+    const signOutLink = document.getElementById('signOutLink');
+    const pairingMessage = document.getElementById('pairingMessage');
+    const pairingForm = document.getElementById('pairingForm');
+    const pairingCodeInput = document.getElementById('pairingCodeInput');
+    const pairBtn = document.getElementById('pairBtn');
+    const googleSignInBtn = document.getElementById('googleSignInBtn');
+    const pairingErrorText = document.getElementById('pairingErrorText');
 
     // --- Helper Functions ---
     function showView(viewToShow) {
-        [initialView, connectingView, connectedView, errorView].forEach(view => {
+        [initialView, connectingView, connectedView, errorView, pairingView].forEach(view => {
             if (view.id === viewToShow) {
                 view.classList.remove('hidden');
             } else {
@@ -37,6 +61,38 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    function showSignedIn(client) {
+        signedInUser.textContent = client ? client.user : '';
+        signedInText.classList.toggle('hidden', !client);
+    }
+
+    function showPairing(message, googleSignIn) {
+        showView('pairingView');
+        pairingMessage.textContent = message || 'Pair this browser with the fitbox Helper to connect.';
+        googleSignInBtn.classList.toggle('hidden', !googleSignIn);
+        pairingErrorText.textContent = '';
+        showSignedIn(null);
+        pairingCodeInput.focus();
+    }
+
+    // Pairs or signs in through the background, then connects with the new token
+    function signIn(request) {
+        pairBtn.disabled = true;
+        googleSignInBtn.disabled = true;
+        pairingErrorText.textContent = '';
+        chrome.runtime.sendMessage(request, (response) => {
+            pairBtn.disabled = false;
+            googleSignInBtn.disabled = false;
+            if (chrome.runtime.lastError || !response?.success) {
+                pairingErrorText.textContent = response?.error || chrome.runtime.lastError?.message || 'Sign-in failed.';
+                return;
+            }
+            pairingCodeInput.value = '';
+            showSignedIn(response.client);
+            connectBtn.click();
+        });
+    }
+
     function showError(message, isInitialError = false) {
         console.error("Popup Error:", message);
         if (isInitialError) {
@@ -48,7 +104,157 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    function showActionConfirmation(id, description) {
+        pendingActionId = id;
+        confirmActionText.textContent = description;
+        confirmActionPanel.classList.remove('hidden');
+    }
+
+    function hideActionConfirmation() {
+        pendingActionId = null;
+        confirmActionText.textContent = '';
+        confirmActionPanel.classList.add('hidden');
+    }
+
+    function answerActionConfirmation(approved) {
+        if (!pendingActionId) return;
+        chrome.runtime.sendMessage({ action: 'resolveBrowserAction', id: pendingActionId, approved }, () => {
+            hideActionConfirmation();
+        });
+    }
+
+    // Shows the "screen is being shared" indicator whenever sharing is switched on
+    function showScreenShareState(enabled, sending) {
+        screenShareToggle.checked = enabled;
+        screenShareIndicator.classList.toggle('hidden', !enabled);
+        screenShareIndicator.classList.toggle('sending', !!sending);
+        screenShareIndicator.textContent = sending
+            ? '\u25CF Sharing your fitbox screen with the helper now'
+            : '\u25CF Your fitbox screen is shared while you speak';
+    }
+
+    // Adds a transcript entry, or updates it in place while it is still being transcribed
+    function renderTranscriptEntry(entry) {
+        transcriptContainer.querySelector('.transcript-empty')?.remove();
+        // Only auto-scroll if the user is already reading the latest lines
+        const atBottom = transcriptContainer.scrollHeight - transcriptContainer.scrollTop - transcriptContainer.clientHeight < 20;
+
+        let line = transcriptContainer.querySelector(`[data-entry-id="${entry.id}"]`);
+        if (!line) {
+            line = document.createElement('p');
+            line.dataset.entryId = entry.id;
+            line.className = 'transcript-entry';
+            const speaker = document.createElement('span');
+            speaker.className = 'speaker';
+            speaker.textContent = entry.speaker === 'user' ? 'You: ' : 'Helper: ';
+            const text = document.createElement('span');
+            text.className = 'text';
+            const time = document.createElement('span');
+            time.className = 'time';
+            time.textContent = new Date(entry.startedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            line.append(speaker, text, time);
+            transcriptContainer.appendChild(line);
+        }
+        line.querySelector('.text').textContent = entry.text + (entry.interrupted ? ' \u2026' : '');
+        line.classList.toggle('pending', !entry.final);
+
+        if (atBottom) {
+            transcriptContainer.scrollTop = transcriptContainer.scrollHeight;
+        }
+    }
+
+    function showCaptureMode(mode, pushToTalkActive) {
+        captureModeSelect.value = mode || 'always_on';
+        pushToTalkBtn.classList.toggle('hidden', mode !== 'push_to_talk');
+        pushToTalkBtn.classList.toggle('active', !!pushToTalkActive);
+        pushToTalkBtn.textContent = pushToTalkActive ? 'Listening... release to send' : 'Hold to talk';
+    }
+
+    function showAssistantSpeaking(speaking) {
+        listeningStatus.textContent = !speaking
+            ? 'Listening for voice commands...'
+            : captureModeSelect.value === 'push_to_talk'
+                ? 'The helper is speaking. Press to talk to interrupt.'
+                : 'The helper is speaking. Just start talking to interrupt.';
+    }
+
+    function setPushToTalk(active) {
+        chrome.runtime.sendMessage({ action: 'setPushToTalk', active }, (response) => {
+            if (response && response.success) {
+                showCaptureMode(captureModeSelect.value, response.active);
+            }
+        });
+    }
+
+    function resetTranscript(entries = []) {
+        transcriptContainer.innerHTML = '<p class="transcript-empty">The conversation will appear here.</p>';
+        entries.forEach(renderTranscriptEntry);
+    }
+
     // --- Event Listeners for Buttons ---
+    // Screen sharing needs host access for captureVisibleTab: activeTab alone ends when the
+    // tab navigates. It is requested with the opt-in (a popup click counts as the user gesture)
+    // and given back when sharing is switched off.
+    const SCREEN_CAPTURE_ORIGINS = { origins: ['<all_urls>'] };
+    function setScreenShare(enabled) {
+        chrome.runtime.sendMessage({ action: 'setScreenShare', enabled }, (response) => {
+            if (response && response.success) {
+                showScreenShareState(response.enabled, false);
+            }
+        });
+    }
+    screenShareToggle.addEventListener('change', () => {
+        if (!screenShareToggle.checked) {
+            setScreenShare(false);
+            chrome.permissions.remove(SCREEN_CAPTURE_ORIGINS).catch(() => { /* Not granted */ });
+            return;
+        }
+        chrome.permissions.request(SCREEN_CAPTURE_ORIGINS).then(granted => {
+            if (granted) {
+                setScreenShare(true);
+            } else {
+                screenShareToggle.checked = false;
+                chatError.textContent = 'Screen sharing needs permission to capture the fitbox tab.';
+                chatError.style.display = 'block';
+            }
+        });
+    });
+    chatForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const text = chatInput.value.trim();
+        if (!text) return;
+        chatError.style.display = 'none';
+        // The message shows up in the transcript once the server has it
+        chrome.runtime.sendMessage({ action: 'sendUserText', text }, (response) => {
+            if (chrome.runtime.lastError || !response || !response.success) {
+                chatError.textContent = response?.error || chrome.runtime.lastError?.message || 'Could not send your message.';
+                chatError.style.display = 'block';
+            } else {
+                chatInput.value = '';
+            }
+        });
+    });
+    captureModeSelect.addEventListener('change', () => {
+        chrome.runtime.sendMessage({ action: 'setCaptureMode', mode: captureModeSelect.value }, (response) => {
+            if (response && response.success) {
+                showCaptureMode(response.captureMode, false);
+            }
+        });
+    });
+    // Held down with the mouse or a finger; the keyboard shortcut toggles instead
+    pushToTalkBtn.addEventListener('mousedown', () => setPushToTalk(true));
+    pushToTalkBtn.addEventListener('touchstart', (event) => {
+        event.preventDefault();
+        setPushToTalk(true);
+    });
+    ['mouseup', 'mouseleave', 'touchend', 'touchcancel'].forEach(type => {
+        pushToTalkBtn.addEventListener(type, () => {
+            if (pushToTalkBtn.classList.contains('active')) setPushToTalk(false);
+        });
+    });
+    approveActionBtn.addEventListener('click', () => answerActionConfirmation(true));
+    declineActionBtn.addEventListener('click', () => answerActionConfirmation(false));
+
     connectBtn.addEventListener('click', () => {
         console.log("Connect button clicked.");
         initialErrorText.textContent = ''; // Clear previous initial errors
@@ -89,6 +295,21 @@ document.addEventListener('DOMContentLoaded', () => {
         // Optionally, could directly trigger connectBtn.click() here
     });
 
+    pairingForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        signIn({ action: 'pairDevice', code: pairingCodeInput.value });
+    });
+
+    googleSignInBtn.addEventListener('click', () => signIn({ action: 'signInWithGoogle' }));
+
+    signOutLink.addEventListener('click', (event) => {
+        event.preventDefault();
+        chrome.runtime.sendMessage({ action: 'signOut' }, () => {
+            showSignedIn(null);
+            showView('initialView');
+        });
+    });
+
      closePopupBtn.addEventListener('click', () => {
         window.close(); // Close the popup window
     });
@@ -130,11 +351,52 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
                 break;
 
+            case 'showPairing':
+                showPairing(message.message, message.googleSignIn);
+                break;
             case 'showPopupError':
                 // Display error message sent from background
                 showError(message.error, message.isCritical); // isCritical might control if we show initial error or error view
                 break;
 
+            case 'updateScreenShare':
+                showScreenShareState(message.enabled, message.sending);
+                break;
+
+            case 'confirmBrowserAction':
+                showActionConfirmation(message.id, message.description);
+                break;
+
+            case 'browserActionResolved':
+                if (message.id === pendingActionId) hideActionConfirmation();
+                break;
+
+            case 'transcriptUpdate':
+                renderTranscriptEntry(message.entry);
+                break;
+
+            case 'showChatNotice':
+                chatError.textContent = message.message;
+                chatError.style.display = 'block';
+                break;
+
+            case 'updateCaptureMode':
+                showCaptureMode(message.captureMode, message.pushToTalkActive);
+                break;
+
+            case 'updatePlaybackState':
+                showAssistantSpeaking(message.speaking);
+                break;
+
+            case 'transcriptReset':
+                resetTranscript();
+                break;
+
+            case 'updateScreenContext':
+                // The user moved to another fitbox screen while the helper is running
+                connectionContext.textContent = message.screenContext || 'Unknown';
+                break;
+
             case 'updateState':
                 console.log("[Popup] Received state update:", message.state);
                 updateUI(message.state);
@@ -210,6 +472,7 @@ document.addEventListener('DOMContentLoaded', () => {
              // Trigger UI update based on the received state
              const state = response.connectionState;
              const context = response.context; // Use 'context' from background
+             showSignedIn(response.authClient);
 
              switch (state) {
                  case 'connecting':
@@ -221,6 +484,13 @@ document.addEventListener('DOMContentLoaded', () => {
                      showView('connectedView');
                      connectedStatus.textContent = 'Connected'; // Default message
                      connectionContext.textContent = context || 'Unknown';
+                     showScreenShareState(!!response.screenShareEnabled, response.screenShareSending);
+                     resetTranscript(response.transcript || []);
+                     showCaptureMode(response.captureMode, response.pushToTalkActive);
+                     showAssistantSpeaking(!!response.assistantSpeaking);
+                     if (response.pendingBrowserAction) {
+                         showActionConfirmation(response.pendingBrowserAction.id, response.pendingBrowserAction.description);
+                     }
                      break;
                  case 'disconnected':
                      showView('initialView');
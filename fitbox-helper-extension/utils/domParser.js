@@ -1,37 +1,83 @@
 // utils/domParser.js
+//
+// Page-context extraction for fitbox IQ screens. Loaded as a classic content script
+// (before content-script.js, see manifest.json), so the functions are plain globals
+// rather than ES module exports.
+
+const MAX_ITEMS_PER_HINT = 10; // Keep the context small enough to send on every screen change
+const MAX_TEXT_LENGTH = 80;
 
 /**
- * Placeholder function for more advanced DOM parsing logic.
- * You can move the context extraction functions from content-script.js here.
- * 
- * @param {Document} document The document object to parse.
- * @returns {object} An object containing parsed information.
+ * Extracts a structured description of what the user is looking at on a fitbox page.
+ *
+ * @param {Document} doc The document object to parse.
+ * @returns {{path: string, hash: string, title: string, headings: string[], formLabels: string[],
+ *            activeTabs: string[], validationErrors: string[], selectedRecord: string|null,
+ *            extractedHints: string[]}} The parsed page context.
  */
-export function parseDOMForContext(document) {
-    console.log("Parsing DOM (placeholder in utils/domParser.js)");
-    
-    // Example: You could call specific extraction functions here
-    const hints = extractDomHintsFromDocument(document); // Assuming you move the function here
-    
-    return {
-        // Add parsed data structure here
-        extractedHints: hints, 
-        // ... other parsed elements
+function parseDOMForContext(doc) {
+    const context = {
+        path: doc.location.pathname,
+        hash: doc.location.hash,
+        title: cleanText(doc.title),
+        headings: collectText(doc, 'h1, h2, h3'),
+        formLabels: collectText(doc, 'label, legend'),
+        activeTabs: collectText(doc, '[role="tab"][aria-selected="true"], .nav-tabs .active, .tabs .is-active, .tab.active'),
+        validationErrors: collectText(doc, '[role="alert"], .invalid-feedback, .error-message, .field-error, .help-block.error, [aria-invalid="true"] + .error'),
+        selectedRecord: findSelectedRecordName(doc)
     };
+    context.extractedHints = extractDomHintsFromDocument(context);
+    return context;
 }
 
-// Example: If you move extractDomHints here, it might look like this:
-function extractDomHintsFromDocument(doc) {
+/**
+ * Flattens the structured context into a short list of unique hints, most specific
+ * first, for callers that only need keywords.
+ * @param {object} context The object built by parseDOMForContext.
+ * @returns {string[]} Up to 15 hints.
+ */
+function extractDomHintsFromDocument(context) {
     const hints = new Set();
-    // ... (Copy logic from content-script.js's extractDomHints) ...
-    // Make sure to use 'doc.querySelectorAll' instead of 'document.querySelectorAll'
-    doc.querySelectorAll('h1, h2, h3, h4').forEach(h => {
-        // ... etc ...
+    if (context.selectedRecord) hints.add(context.selectedRecord);
+    [context.activeTabs, context.headings, context.formLabels].forEach(list => {
+        list.forEach(text => hints.add(text));
     });
-     // ... rest of the selectors
-    return Array.from(hints).slice(0, 15); 
+    return Array.from(hints).slice(0, 15);
 }
 
-// Note: If you use ES Modules (`export`), ensure your manifest and build process
-// support loading modules in content scripts, or adjust accordingly.
-// For basic scripts, you might just define functions globally or attach them to `window`.
+// Name of the member/class/record the screen is about, from the page header or breadcrumb
+function findSelectedRecordName(doc) {
+    const selectors = [
+        '[data-record-name]',
+        '.breadcrumb li:last-child, .breadcrumb-item.active',
+        '.profile-name, .member-name, .record-title',
+        'h1'
+    ];
+    for (const selector of selectors) {
+        const element = doc.querySelector(selector);
+        if (!element || !isVisible(element)) continue;
+        const text = cleanText(element.getAttribute('data-record-name') || element.textContent);
+        if (text) return text;
+    }
+    return null;
+}
+
+// Visible, de-duplicated, trimmed text of all elements matching a selector
+function collectText(doc, selector) {
+    const texts = new Set();
+    doc.querySelectorAll(selector).forEach(element => {
+        if (texts.size >= MAX_ITEMS_PER_HINT || !isVisible(element)) return;
+        const text = cleanText(element.textContent);
+        if (text) texts.add(text);
+    });
+    return Array.from(texts);
+}
+
+function isVisible(element) {
+    return !!(element.offsetWidth || element.offsetHeight || element.getClientRects().length);
+}
+
+function cleanText(text) {
+    const cleaned = (text || '').replace(/\s+/g, ' ').trim();
+    return cleaned.length > MAX_TEXT_LENGTH ? `${cleaned.substring(0, MAX_TEXT_LENGTH)}…` : cleaned;
+}
@@ -0,0 +1,95 @@
+// utils/pageActions.js
+//
+// Functions injected into the fitbox tab with chrome.scripting.executeScript to carry
+// out browser-side tool calls from the assistant. Loaded into the service worker with
+// importScripts(). Each function is serialized on injection, so it must be fully
+// self-contained: no references to anything outside its own body.
+
+/**
+ * Clicks the navigation link for a fitbox section (e.g. 'Members', 'Schedule').
+ * @param {string} section Visible name of the section.
+ * @returns {{success: boolean, message: string}}
+ */
+function pageNavigateToSection(section) {
+    const wanted = String(section || '').trim().toLowerCase();
+    const candidates = Array.from(document.querySelectorAll('nav a, nav button, [role="navigation"] a, aside a, .sidebar a, .menu a'));
+    const link = candidates.find(el => el.textContent.trim().toLowerCase() === wanted)
+        || candidates.find(el => el.textContent.trim().toLowerCase().includes(wanted));
+    if (!link) {
+        return { success: false, message: `No navigation item named '${section}' found on this page.` };
+    }
+    link.click();
+    return { success: true, message: `Opened '${link.textContent.trim()}'.` };
+}
+
+/**
+ * Scrolls to a button or link and outlines it for a few seconds so the user can find it.
+ * @param {string} label Visible text (or aria-label) of the element.
+ * @returns {{success: boolean, message: string}}
+ */
+function pageHighlightElement(label) {
+    const wanted = String(label || '').trim().toLowerCase();
+    const textOf = el => (el.getAttribute('aria-label') || el.textContent || el.value || '').trim().toLowerCase();
+    const candidates = Array.from(document.querySelectorAll('button, a, [role="button"], [role="tab"], input[type="submit"], input[type="button"]'))
+        .filter(el => el.offsetParent !== null);
+    const element = candidates.find(el => textOf(el) === wanted) || candidates.find(el => textOf(el).includes(wanted));
+    if (!element) {
+        return { success: false, message: `No visible button or link labelled '${label}' found.` };
+    }
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const previousOutline = element.style.outline;
+    const previousOffset = element.style.outlineOffset;
+    element.style.outline = '3px solid #ff9800';
+    element.style.outlineOffset = '2px';
+    setTimeout(() => {
+        element.style.outline = previousOutline;
+        element.style.outlineOffset = previousOffset;
+    }, 4000);
+    return { success: true, message: `Highlighted '${element.textContent.trim() || label}'.` };
+}
+
+/**
+ * Scrolls to a form field by its label text and focuses it.
+ * @param {string} label Label text, placeholder or name of the field.
+ * @returns {{success: boolean, message: string}}
+ */
+function pageScrollToField(label) {
+    const wanted = String(label || '').trim().toLowerCase();
+    let field = null;
+
+    const labelElement = Array.from(document.querySelectorAll('label'))
+        .find(el => el.textContent.trim().toLowerCase().includes(wanted));
+    if (labelElement) {
+        field = labelElement.control || (labelElement.htmlFor && document.getElementById(labelElement.htmlFor));
+    }
+    if (!field) {
+        field = Array.from(document.querySelectorAll('input, select, textarea')).find(el =>
+            [el.placeholder, el.name, el.getAttribute('aria-label')]
+                .some(text => text && text.toLowerCase().includes(wanted)));
+    }
+    if (!field) {
+        return { success: false, message: `No form field labelled '${label}' found.` };
+    }
+    field.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    field.focus({ preventScroll: true });
+    return { success: true, message: `Moved to the '${label}' field.` };
+}
+
+/**
+ * Clicks a button by its visible text. May change data (save, delete, book), so the
+ * background only runs it after the user confirms in the popup.
+ * @param {string} label Visible text (or aria-label) of the button.
+ * @returns {{success: boolean, message: string}}
+ */
+function pageClickButton(label) {
+    const wanted = String(label || '').trim().toLowerCase();
+    const textOf = el => (el.getAttribute('aria-label') || el.textContent || el.value || '').trim().toLowerCase();
+    const candidates = Array.from(document.querySelectorAll('button, [role="button"], input[type="submit"], input[type="button"]'))
+        .filter(el => el.offsetParent !== null && !el.disabled);
+    const button = candidates.find(el => textOf(el) === wanted) || candidates.find(el => textOf(el).includes(wanted));
+    if (!button) {
+        return { success: false, message: `No enabled button labelled '${label}' found.` };
+    }
+    button.click();
+    return { success: true, message: `Clicked '${button.textContent.trim() || label}'.` };
+}
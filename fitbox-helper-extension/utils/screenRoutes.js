@@ -0,0 +1,122 @@
+// utils/screenRoutes.js
+//
+// Route table mapping fitbox IQ URLs to the canonical screen IDs used as knowledge keys
+// (see fitbox-helper-server/knowledge.js). Shared by the extension, which loads it with
+// importScripts (globals), and the server, which loads it with require (module.exports).
+//
+// Each route matches the app path: the hash route when the URL has one ('#/members/12'),
+// otherwise the pathname. Routes are tried in order and the first match wins, so list
+// specific routes before general ones.
+//   path  - Segments; ':name' captures a parameter, a trailing '*' matches any rest.
+//   query - Required query parameters (from the hash route's or the URL's query string);
+//           a value starting with ':' captures the parameter instead of requiring it.
+
+const SCREEN_ROUTES = [
+    { screen: 'add_member', path: '/members/new' },
+    { screen: 'edit_member', path: '/members/:memberId/edit' },
+    { screen: 'member_billing', path: '/members/:memberId', query: { tab: 'billing' } },
+    { screen: 'member_bookings', path: '/members/:memberId', query: { tab: 'bookings' } },
+    { screen: 'view_member', path: '/members/:memberId' },
+    { screen: 'member_list', path: '/members' },
+    { screen: 'book_class', path: '/schedule/classes/:classId/book' },
+    { screen: 'view_class', path: '/schedule/classes/:classId' },
+    { screen: 'view_schedule', path: '/schedule', query: { view: ':view' } },
+    { screen: 'view_schedule', path: '/schedule' },
+    { screen: 'settings', path: '/settings', query: { tab: ':section' } },
+    { screen: 'settings', path: '/settings/:section/*' },
+    { screen: 'settings', path: '/settings' },
+    { screen: 'dashboard', path: '/dashboard' },
+    { screen: 'dashboard', path: '/' }
+];
+
+/**
+ * Resolves a fitbox URL to its canonical screen ID and route parameters.
+ * @param {string} tabUrl Full URL of the fitbox tab.
+ * @returns {{screen: string, params: Object<string, string>} | null} Null if no route matches.
+ */
+function resolveScreenRoute(tabUrl) {
+    let url;
+    try {
+        url = new URL(tabUrl);
+    } catch {
+        return null;
+    }
+
+    // Hash routes ('#/path?query' or '#!/path') take precedence over the pathname
+    let appPath = url.pathname;
+    let query = url.searchParams;
+    const hashRoute = /^#!?(\/[^?]*)(?:\?(.*))?$/.exec(url.hash);
+    if (hashRoute) {
+        appPath = hashRoute[1];
+        query = new URLSearchParams(hashRoute[2] || url.search);
+    }
+
+    for (const route of SCREEN_ROUTES) {
+        const params = matchScreenRoute(route, appPath, query);
+        if (params) {
+            return { screen: route.screen, params };
+        }
+    }
+    return null;
+}
+
+/**
+ * Matches a single route against an app path and query.
+ * @param {{path: string, query?: Object<string, string>}} route Entry of SCREEN_ROUTES.
+ * @param {string} appPath Path such as '/members/4821/edit'.
+ * @param {URLSearchParams} query Query parameters of the route.
+ * @returns {Object<string, string> | null} The captured parameters, or null if it doesn't match.
+ */
+function matchScreenRoute(route, appPath, query) {
+    const routeSegments = route.path.split('/').filter(Boolean);
+    const pathSegments = appPath.split('/').filter(Boolean);
+    const params = {};
+
+    for (let i = 0; i < routeSegments.length; i++) {
+        const routeSegment = routeSegments[i];
+        if (routeSegment === '*' && i === routeSegments.length - 1) {
+            return matchRouteQuery(route, query, params);
+        }
+        const pathSegment = pathSegments[i];
+        if (pathSegment === undefined) {
+            return null;
+        }
+        if (routeSegment.startsWith(':')) {
+            params[routeSegment.substring(1)] = decodeSegment(pathSegment);
+        } else if (routeSegment.toLowerCase() !== pathSegment.toLowerCase()) {
+            return null;
+        }
+    }
+    if (pathSegments.length !== routeSegments.length) {
+        return null;
+    }
+    return matchRouteQuery(route, query, params);
+}
+
+// Decodes a captured path segment, keeping it as is when its escapes are malformed ('%E0')
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        return segment;
+    }
+}
+
+function matchRouteQuery(route, query, params) {
+    for (const [name, expected] of Object.entries(route.query || {})) {
+        const value = query.get(name);
+        if (value === null || value === '') {
+            return null;
+        }
+        if (expected.startsWith(':')) {
+            params[expected.substring(1)] = value;
+        } else if (value.toLowerCase() !== expected.toLowerCase()) {
+            return null;
+        }
+    }
+    return params;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SCREEN_ROUTES, resolveScreenRoute, matchScreenRoute };
+}
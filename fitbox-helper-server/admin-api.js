@@ -0,0 +1,353 @@
+// admin-api.js - Authenticated REST routes for managing knowledge entries
+//
+// All routes live under /admin/api and need `Authorization: Bearer <ADMIN_API_TOKEN>`.
+// Without ADMIN_API_TOKEN the admin API is disabled.
+//
+//   GET    /admin/api/knowledge[?screen=<id>]   List entries (optionally for one screen)
+//   GET    /admin/api/knowledge/<id>            Get one entry
+//   POST   /admin/api/knowledge                 Create an entry { id, screens, title?, text }
+//   PUT    /admin/api/knowledge/<id>            Update (or override) an entry { screens, title?, text }
+//   DELETE /admin/api/knowledge/<id>            Delete an admin-managed entry
+//   GET    /admin/api/preview?screen=<id>[&hints=a,b][&question=...]
+//                                               The systemInstruction a new session would get
+//   GET    /admin/api/screens                   Screen IDs from the route table and the knowledge
+//   GET    /admin/api/sessions                  Live connection and session counts
+//   GET    /admin/api/history[?screen=<id>][&limit=<n>]
+//                                               Recorded sessions, newest first
+//   GET    /admin/api/history/<session id>[?format=json|csv|markdown]
+//                                               One recorded session, as JSON or a download
+//   GET    /admin/api/clients                   Extension tokens issued, newest first
+//   DELETE /admin/api/clients/<id>              Revoke a token (its connections are closed)
+//   POST   /admin/api/pairing-codes             Create a pairing code { user }
+//   GET    /admin/api/usage[?days=<n>]          Usage per user and in total, with the quotas
+import crypto from 'crypto';
+import {
+    reloadKnowledge,
+    getKnowledgeEntries,
+    getKnowledgeEntry,
+    retrieveKnowledge,
+    buildSystemInstruction
+} from './knowledge.js';
+import { updateAdminEntries, ADMIN_SOURCE_NAME } from './knowledge-store.js';
+import { getKnownScreenIds } from './screen-routes.js';
+import { listSessionRecords, getSessionRecord, sessionToCsv, sessionToMarkdown } from './session-history.js';
+import { listClients, revokeClient, createPairingCode } from './client-auth.js';
+import { getUsageReport } from './usage-quotas.js';
+
+const API_PREFIX = '/admin/api/';
+const MAX_BODY_BYTES = 256 * 1024;
+
+let sessionStatsProvider = () => ({ clients: 0, sessions: 0, sessionsByScreen: {} });
+
+/**
+ * Registers the function reporting live session counts (index.js owns the connections).
+ * @param {() => {clients: number, sessions: number, sessionsByScreen: Object<string, number>}} provider
+ */
+export function setSessionStatsProvider(provider) {
+    sessionStatsProvider = provider;
+}
+
+// Error carrying the HTTP status to answer with
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {object} [body] Omitted for 204 responses.
+ */
+export function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+/**
+ * Reads and parses a JSON request body.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<object>}
+ * @throws {Error} With status 413 if too large, 400 if not a JSON object.
+ */
+export async function readJsonBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw httpError(413, `Request body larger than ${MAX_BODY_BYTES} bytes.`);
+        }
+        chunks.push(chunk);
+    }
+    try {
+        const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+            throw new Error('not an object');
+        }
+        return body;
+    } catch {
+        throw httpError(400, 'Request body must be a JSON object.');
+    }
+}
+
+/**
+ * Checks the request's bearer token against ADMIN_API_TOKEN in constant time.
+ * @param {http.IncomingMessage} req
+ * @returns {boolean}
+ */
+export function isAdminAuthorized(req) {
+    const expected = process.env.ADMIN_API_TOKEN;
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!expected || !match) {
+        return false;
+    }
+    // Hash both sides so timingSafeEqual gets equal lengths
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(match[1].trim()), digest(expected));
+}
+
+// Shape returned to clients; `editable` tells the UI whether DELETE is possible
+function toApiEntry(entry) {
+    return {
+        id: entry.id,
+        screens: entry.screens,
+        title: entry.title,
+        text: entry.text,
+        source: entry.source,
+        editable: entry.source === ADMIN_SOURCE_NAME
+    };
+}
+
+// Stores a change, then reloads so new sessions (and running ones, on their next
+// context refresh) pick it up
+async function saveAndReload(change) {
+    await updateAdminEntries(change);
+    try {
+        await reloadKnowledge();
+    } catch (error) {
+        throw httpError(500, `Saved, but reloading knowledge failed: ${error.message}`);
+    }
+}
+
+async function listEntries(url) {
+    const screen = url.searchParams.get('screen');
+    const entries = getKnowledgeEntries().filter(entry => !screen || entry.screens.includes(screen));
+    return { status: 200, body: { entries: entries.map(toApiEntry) } };
+}
+
+async function getEntry(id) {
+    const entry = getKnowledgeEntry(id);
+    if (!entry) throw httpError(404, `No knowledge entry '${id}'.`);
+    return { status: 200, body: toApiEntry(entry) };
+}
+
+async function createEntry(req) {
+    const body = await readJsonBody(req);
+    const existing = getKnowledgeEntry(body.id);
+    if (existing && existing.source !== ADMIN_SOURCE_NAME) {
+        // Overriding another source's entry must be explicit, see updateEntry
+        throw httpError(409, `Knowledge entry '${body.id}' already exists in the ${existing.source} source. Use PUT /admin/api/knowledge/${body.id} to override it.`);
+    }
+    await saveAndReload(entries => {
+        if (entries.some(entry => entry.id === body.id)) {
+            throw httpError(409, `Knowledge entry '${body.id}' already exists.`);
+        }
+        return [...entries, { id: body.id, screens: body.screens, title: body.title, text: body.text }];
+    });
+    return { status: 201, body: toApiEntry(getKnowledgeEntry(body.id)) };
+}
+
+async function updateEntry(req, id) {
+    const body = await readJsonBody(req);
+    if (!getKnowledgeEntry(id)) throw httpError(404, `No knowledge entry '${id}'.`);
+    // Entries from other sources are overridden by an admin entry with the same ID
+    await saveAndReload(entries => [
+        ...entries.filter(entry => entry.id !== id),
+        { id, screens: body.screens, title: body.title, text: body.text }
+    ]);
+    return { status: 200, body: toApiEntry(getKnowledgeEntry(id)) };
+}
+
+async function deleteEntry(id) {
+    const entry = getKnowledgeEntry(id);
+    if (!entry) throw httpError(404, `No knowledge entry '${id}'.`);
+    await saveAndReload(entries => {
+        if (!entries.some(stored => stored.id === id)) {
+            throw httpError(409, `Knowledge entry '${id}' comes from the ${entry.source} source and cannot be deleted here.`);
+        }
+        return entries.filter(stored => stored.id !== id);
+    });
+    return { status: 204 };
+}
+
+async function previewScreen(url) {
+    const screen = url.searchParams.get('screen') || 'initial';
+    const hints = (url.searchParams.get('hints') || '').split(',').map(hint => hint.trim()).filter(Boolean);
+    const question = url.searchParams.get('question') || undefined;
+    return {
+        status: 200,
+        body: {
+            screen,
+            systemInstruction: buildSystemInstruction(screen, { hints, question }),
+            passages: retrieveKnowledge({ screen, hints, question })
+        }
+    };
+}
+
+// Every screen the console should offer: routed screens first, then screens that only
+// appear in knowledge entries
+async function listScreens() {
+    const entries = getKnowledgeEntries();
+    const { sessionsByScreen } = sessionStatsProvider();
+    const routed = getKnownScreenIds();
+    const ids = new Set([...routed, ...entries.flatMap(entry => entry.screens)]);
+    const screens = Array.from(ids).map(id => ({
+        id,
+        routed: routed.includes(id),
+        entryCount: entries.filter(entry => entry.screens.includes(id)).length,
+        activeSessions: sessionsByScreen[id] || 0
+    }));
+    return { status: 200, body: { screens } };
+}
+
+async function getSessionStats() {
+    return { status: 200, body: sessionStatsProvider() };
+}
+
+async function listHistory(url) {
+    const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || 50, 500);
+    const sessions = await listSessionRecords({ limit, screen: url.searchParams.get('screen') || undefined });
+    return { status: 200, body: { sessions } };
+}
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', render: sessionToCsv },
+    markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md', render: sessionToMarkdown }
+};
+
+async function getHistory(url, sessionId) {
+    const record = await getSessionRecord(sessionId);
+    if (!record) throw httpError(404, `No recorded session '${sessionId}'.`);
+
+    const format = url.searchParams.get('format') || 'json';
+    if (format === 'json') {
+        return { status: 200, body: record };
+    }
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) throw httpError(400, `Unknown export format '${format}'. Use json, csv or markdown.`);
+    return {
+        status: 200,
+        text: exporter.render(record),
+        contentType: exporter.contentType,
+        filename: `fitbox-session-${sessionId}.${exporter.extension}`
+    };
+}
+
+async function listClientTokens() {
+    return { status: 200, body: { clients: await listClients() } };
+}
+
+async function revokeClientToken(id) {
+    return { status: 200, body: await revokeClient(id) };
+}
+
+async function createPairing(req) {
+    const body = await readJsonBody(req);
+    return { status: 201, body: createPairingCode(body.user) };
+}
+
+async function getUsage(url) {
+    const days = Math.min(parseInt(url.searchParams.get('days'), 10) || 1, 31);
+    return { status: 200, body: getUsageReport({ days }) };
+}
+
+function decodePathSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        throw httpError(400, `Malformed escape in path segment '${segment}'.`);
+    }
+}
+
+// Picks the handler for a method and path below /admin/api/
+function route(req, url) {
+    const parts = url.pathname.substring(API_PREFIX.length).split('/').filter(Boolean).map(decodePathSegment);
+    const [resource, id] = parts;
+
+    if (resource === 'knowledge' && parts.length === 1) {
+        if (req.method === 'GET') return () => listEntries(url);
+        if (req.method === 'POST') return () => createEntry(req);
+    } else if (resource === 'knowledge' && parts.length === 2) {
+        if (req.method === 'GET') return () => getEntry(id);
+        if (req.method === 'PUT') return () => updateEntry(req, id);
+        if (req.method === 'DELETE') return () => deleteEntry(id);
+    } else if (parts.length === 1 && req.method === 'GET') {
+        if (resource === 'preview') return () => previewScreen(url);
+        if (resource === 'screens') return () => listScreens();
+        if (resource === 'sessions') return () => getSessionStats();
+        if (resource === 'history') return () => listHistory(url);
+        if (resource === 'clients') return () => listClientTokens();
+        if (resource === 'usage') return () => getUsage(url);
+    } else if (resource === 'history' && parts.length === 2 && req.method === 'GET') {
+        return () => getHistory(url, id);
+    } else if (resource === 'clients' && parts.length === 2 && req.method === 'DELETE') {
+        return () => revokeClientToken(id);
+    } else if (resource === 'pairing-codes' && parts.length === 1 && req.method === 'POST') {
+        return () => createPairing(req);
+    }
+    return null;
+}
+
+/**
+ * Handles a request if it belongs to the admin API.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {URL} url The parsed request URL.
+ * @returns {Promise<boolean>} False if the request is not an admin API request.
+ */
+export async function handleAdminApiRequest(req, res, url) {
+    if (!url.pathname.startsWith(API_PREFIX)) {
+        return false;
+    }
+    if (!process.env.ADMIN_API_TOKEN) {
+        sendJson(res, 503, { error: 'The admin API is disabled. Set ADMIN_API_TOKEN to enable it.' });
+        return true;
+    }
+    if (!isAdminAuthorized(req)) {
+        console.warn(`[Admin] Rejected unauthorized ${req.method} ${url.pathname}`);
+        sendJson(res, 401, { error: 'Missing or invalid admin token.' });
+        return true;
+    }
+
+    try {
+        const handler = route(req, url); // Throws 400 on a malformed path
+        if (!handler) {
+            throw httpError(404, `No admin route for ${req.method} ${url.pathname}.`);
+        }
+        const { status, body, text, contentType, filename } = await handler();
+        if (req.method !== 'GET') {
+            console.log(`[Admin] ${req.method} ${url.pathname} -> ${status}`);
+        }
+        if (text !== undefined) {
+            // File exports (CSV, Markdown) are downloaded rather than shown
+            res.writeHead(status, {
+                'Content-Type': contentType,
+                'Content-Disposition': `attachment; filename="${filename}"`,
+                'Cache-Control': 'no-store'
+            });
+            res.end(text);
+        } else {
+            sendJson(res, status, body);
+        }
+    } catch (error) {
+        // Validation errors from the store are the client's fault
+        const status = error.status || (/^Invalid knowledge/.test(error.message) ? 400 : 500);
+        if (status >= 500) {
+            console.error(`[Admin] ${req.method} ${url.pathname} failed:`, error);
+        }
+        sendJson(res, status, { error: error.message });
+    }
+    return true;
+}
@@ -0,0 +1,51 @@
+// admin-console.js - Serves the static admin console (admin/) at /admin/
+//
+// The console itself holds no data: it asks for the admin token and calls the
+// authenticated routes in admin-api.js, so the files are served without a token.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const CONSOLE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'admin');
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8'
+};
+
+/**
+ * Handles a request if it is for the admin console's static files.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {URL} url The parsed request URL.
+ * @returns {Promise<boolean>} False if the request is not for the console.
+ */
+export async function handleAdminConsoleRequest(req, res, url) {
+    if (req.method !== 'GET' || !(url.pathname === '/admin' || url.pathname.startsWith('/admin/'))) {
+        return false;
+    }
+    if (url.pathname === '/admin') {
+        res.writeHead(301, { Location: '/admin/' }); // Relative asset URLs need the trailing slash
+        res.end();
+        return true;
+    }
+
+    const relativePath = url.pathname.substring('/admin/'.length) || 'index.html';
+    const filePath = path.resolve(CONSOLE_DIR, relativePath);
+    const contentType = CONTENT_TYPES[path.extname(filePath)];
+    if (!filePath.startsWith(CONSOLE_DIR + path.sep) || !contentType) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not Found');
+        return true;
+    }
+
+    try {
+        const content = await fs.promises.readFile(filePath);
+        res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-cache' });
+        res.end(content);
+    } catch (error) {
+        res.writeHead(error.code === 'ENOENT' ? 404 : 500, { 'Content-Type': 'text/plain' });
+        res.end(error.code === 'ENOENT' ? 'Not Found' : 'Internal Server Error');
+    }
+    return true;
+}
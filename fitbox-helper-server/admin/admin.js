@@ -0,0 +1,311 @@
+// admin.js - fitbox Helper admin console (talks to the routes in ../admin-api.js)
+document.addEventListener('DOMContentLoaded', () => {
+    const TOKEN_STORAGE_KEY = 'fitboxAdminToken';
+    const STATS_REFRESH_MS = 5000;
+
+    // --- Get DOM Elements ---
+    const loginView = document.getElementById('loginView');
+    const consoleView = document.getElementById('consoleView');
+    const loginForm = document.getElementById('loginForm');
+    const tokenInput = document.getElementById('tokenInput');
+    const loginError = document.getElementById('loginError');
+    const sessionStats = document.getElementById('sessionStats');
+
+    const screenList = document.getElementById('screenList');
+    const selectedScreenLabel = document.getElementById('selectedScreenLabel');
+    const entryList = document.getElementById('entryList');
+    const newEntryBtn = document.getElementById('newEntryBtn');
+
+    const entryForm = document.getElementById('entryForm');
+    const entryId = document.getElementById('entryId');
+    const entryScreens = document.getElementById('entryScreens');
+    const entryTitle = document.getElementById('entryTitle');
+    const entryText = document.getElementById('entryText');
+    const entrySource = document.getElementById('entrySource');
+    const deleteEntryBtn = document.getElementById('deleteEntryBtn');
+    const cancelEntryBtn = document.getElementById('cancelEntryBtn');
+    const entryError = document.getElementById('entryError');
+
+    const previewForm = document.getElementById('previewForm');
+    const previewScreen = document.getElementById('previewScreen');
+    const previewHints = document.getElementById('previewHints');
+    const previewQuestion = document.getElementById('previewQuestion');
+    const previewSources = document.getElementById('previewSources');
+    const previewOutput = document.getElementById('previewOutput');
+
+    const pairingForm = document.getElementById('pairingForm');
+    const pairingUser = document.getElementById('pairingUser');
+    const pairingResult = document.getElementById('pairingResult');
+    const deviceTableBody = document.querySelector('#deviceTable tbody');
+
+    let token = sessionStorage.getItem(TOKEN_STORAGE_KEY);
+    let selectedScreen = null; // null shows every entry
+    let editingEntry = null; // Entry open in the editor; null while creating a new one
+    let statsTimer = null;
+
+    // --- API ---
+    async function api(method, path, body) {
+        const response = await fetch(`/admin/api/${path}`, {
+            method,
+            headers: {
+                Authorization: `Bearer ${token}`,
+                ...(body ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        if (response.status === 401) {
+            signOut('Your admin token was not accepted. Please sign in again.');
+            throw new Error('Unauthorized');
+        }
+        const data = response.status === 204 ? null : await response.json();
+        if (!response.ok) {
+            throw new Error(data?.error || `HTTP error! status: ${response.status}`);
+        }
+        return data;
+    }
+
+    // --- Helper Functions ---
+    function showMessage(element, message) {
+        element.textContent = message || '';
+        element.classList.toggle('hidden', !message);
+    }
+
+    function signOut(message) {
+        token = null;
+        sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+        clearInterval(statsTimer);
+        consoleView.classList.add('hidden');
+        loginView.classList.remove('hidden');
+        showMessage(loginError, message);
+    }
+
+    async function showConsole() {
+        await refreshSessionStats(); // Fails with 401 first if the token is wrong
+        loginView.classList.add('hidden');
+        consoleView.classList.remove('hidden');
+        await Promise.all([loadScreens(), loadEntries(), loadDevices()]);
+        clearInterval(statsTimer);
+        statsTimer = setInterval(() => {
+            refreshSessionStats().catch(error => console.error('Failed to refresh session stats:', error));
+        }, STATS_REFRESH_MS);
+    }
+
+    async function refreshSessionStats() {
+        const stats = await api('GET', 'sessions');
+        sessionStats.textContent = `Connected clients: ${stats.clients} | Active AI sessions: ${stats.sessions}`;
+        // Keep the per-screen counts in the screen list current
+        screenList.querySelectorAll('li[data-screen]').forEach(item => {
+            const count = stats.sessionsByScreen[item.dataset.screen] || 0;
+            item.querySelector('.live').textContent = count > 0 ? ` · ${count} live` : '';
+        });
+    }
+
+    async function loadScreens() {
+        const { screens } = await api('GET', 'screens');
+        screenList.innerHTML = '';
+        screenList.appendChild(createScreenItem(null, 'All entries', ''));
+        screens.forEach(screen => {
+            const item = createScreenItem(screen.id, screen.id, `${screen.entryCount}`);
+            item.title = screen.routed ? 'Screen from the route table' : 'Only used by knowledge entries (no URL route)';
+            item.querySelector('.live').textContent = screen.activeSessions > 0 ? ` · ${screen.activeSessions} live` : '';
+            screenList.appendChild(item);
+        });
+    }
+
+    function createScreenItem(screenId, label, count) {
+        const item = document.createElement('li');
+        if (screenId) item.dataset.screen = screenId;
+        item.classList.toggle('selected', screenId === selectedScreen);
+
+        const name = document.createElement('span');
+        name.textContent = label;
+        const counts = document.createElement('span');
+        counts.className = 'count';
+        counts.textContent = count;
+        const live = document.createElement('span');
+        live.className = 'live';
+        counts.appendChild(live);
+        item.append(name, counts);
+
+        item.addEventListener('click', () => selectScreen(screenId));
+        return item;
+    }
+
+    function selectScreen(screenId) {
+        selectedScreen = screenId;
+        screenList.querySelectorAll('li').forEach(item => {
+            item.classList.toggle('selected', (item.dataset.screen || null) === screenId);
+        });
+        selectedScreenLabel.textContent = screenId ? `for ${screenId}` : '';
+        if (screenId) {
+            previewScreen.value = screenId;
+        }
+        closeEditor();
+        loadEntries().catch(error => console.error('Failed to load entries:', error));
+    }
+
+    async function loadEntries() {
+        const query = selectedScreen ? `?screen=${encodeURIComponent(selectedScreen)}` : '';
+        const { entries } = await api('GET', `knowledge${query}`);
+        entryList.innerHTML = '';
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.textContent = entry.title || entry.id;
+            const source = document.createElement('span');
+            source.className = 'count';
+            source.textContent = entry.source;
+            item.appendChild(source);
+            item.addEventListener('click', () => openEditor(entry));
+            entryList.appendChild(item);
+        });
+        if (entries.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'muted';
+            item.textContent = 'No entries yet.';
+            entryList.appendChild(item);
+        }
+    }
+
+    function openEditor(entry) {
+        editingEntry = entry;
+        entryId.value = entry ? entry.id : '';
+        entryId.disabled = !!entry; // The ID is the key; create a new entry to rename
+        entryScreens.value = entry ? entry.screens.join(', ') : (selectedScreen || '');
+        entryTitle.value = entry?.title || '';
+        entryText.value = entry ? entry.text : '';
+        entrySource.textContent = !entry
+            ? 'New entry (stored by the admin console).'
+            : entry.editable
+                ? 'Managed in this console.'
+                : `From the ${entry.source} source. Saving stores an override here; the original stays unchanged.`;
+        deleteEntryBtn.classList.toggle('hidden', !entry?.editable);
+        showMessage(entryError, '');
+        entryForm.classList.remove('hidden');
+    }
+
+    function closeEditor() {
+        editingEntry = null;
+        entryForm.classList.add('hidden');
+    }
+
+    async function saveEntry() {
+        const body = {
+            screens: entryScreens.value.split(',').map(screen => screen.trim()).filter(Boolean),
+            title: entryTitle.value.trim() || undefined,
+            text: entryText.value
+        };
+        if (editingEntry) {
+            await api('PUT', `knowledge/${encodeURIComponent(editingEntry.id)}`, body);
+        } else {
+            await api('POST', 'knowledge', { id: entryId.value.trim(), ...body });
+        }
+        closeEditor();
+        await Promise.all([loadScreens(), loadEntries()]);
+    }
+
+    async function deleteEntry() {
+        if (!editingEntry || !confirm(`Delete the knowledge entry '${editingEntry.id}'?`)) {
+            return;
+        }
+        await api('DELETE', `knowledge/${encodeURIComponent(editingEntry.id)}`);
+        closeEditor();
+        await Promise.all([loadScreens(), loadEntries()]);
+    }
+
+    async function showPreview() {
+        const params = new URLSearchParams({ screen: previewScreen.value.trim() });
+        if (previewHints.value.trim()) params.set('hints', previewHints.value.trim());
+        if (previewQuestion.value.trim()) params.set('question', previewQuestion.value.trim());
+        const preview = await api('GET', `preview?${params.toString()}`);
+        previewSources.textContent = preview.passages.length > 0
+            ? `Sources: ${preview.passages.map(passage => `${passage.sourceId} (${passage.score})`).join(', ')}`
+            : 'No matching passages; the default knowledge is used.';
+        previewOutput.textContent = preview.systemInstruction;
+    }
+
+    async function loadDevices() {
+        const { clients } = await api('GET', 'clients');
+        const date = iso => (iso ? new Date(iso).toLocaleString() : '-');
+        deviceTableBody.innerHTML = '';
+        clients.forEach(client => {
+            const row = document.createElement('tr');
+            row.classList.toggle('revoked', !!client.revokedAt);
+            [client.user, client.deviceName || '-', client.method, date(client.createdAt), date(client.lastUsedAt)].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            const actions = document.createElement('td');
+            if (client.revokedAt) {
+                actions.textContent = `Revoked ${date(client.revokedAt)}`;
+            } else {
+                const revokeBtn = document.createElement('button');
+                revokeBtn.className = 'danger';
+                revokeBtn.textContent = 'Revoke';
+                revokeBtn.addEventListener('click', () => {
+                    revokeDevice(client).catch(error => alert(`Could not revoke: ${error.message}`));
+                });
+                actions.appendChild(revokeBtn);
+            }
+            row.appendChild(actions);
+            deviceTableBody.appendChild(row);
+        });
+        if (clients.length === 0) {
+            deviceTableBody.innerHTML = '<tr><td colspan="6" class="muted">No devices paired yet.</td></tr>';
+        }
+    }
+
+    async function revokeDevice(client) {
+        if (!confirm(`Revoke access for ${client.user}${client.deviceName ? ` (${client.deviceName})` : ''}? Their helper disconnects immediately.`)) {
+            return;
+        }
+        await api('DELETE', `clients/${encodeURIComponent(client.id)}`);
+        await loadDevices();
+    }
+
+    async function createPairingCode() {
+        const pairing = await api('POST', 'pairing-codes', { user: pairingUser.value.trim() });
+        showMessage(pairingResult, `Pairing code for ${pairing.user}: ${pairing.code} (valid until ${new Date(pairing.expiresAt).toLocaleTimeString()}). Enter it in the helper's popup.`);
+        pairingUser.value = '';
+    }
+
+    // --- Event Listeners ---
+    loginForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        token = tokenInput.value.trim();
+        sessionStorage.setItem(TOKEN_STORAGE_KEY, token);
+        showConsole().catch(error => {
+            if (token) showMessage(loginError, error.message); // A 401 already signed out with its own message
+        });
+    });
+
+    newEntryBtn.addEventListener('click', () => openEditor(null));
+    cancelEntryBtn.addEventListener('click', closeEditor);
+
+    entryForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        saveEntry().catch(error => showMessage(entryError, error.message));
+    });
+
+    deleteEntryBtn.addEventListener('click', () => {
+        deleteEntry().catch(error => showMessage(entryError, error.message));
+    });
+
+    previewForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        showPreview().catch(error => {
+            previewSources.textContent = '';
+            previewOutput.textContent = `Error: ${error.message}`;
+        });
+    });
+
+    pairingForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        createPairingCode().catch(error => showMessage(pairingResult, `Error: ${error.message}`));
+    });
+
+    // --- Initial Load ---
+    if (token) {
+        showConsole().catch(error => console.error('Failed to open the admin console:', error));
+    }
+});
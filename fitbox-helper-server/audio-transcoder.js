@@ -0,0 +1,167 @@
+// audio-transcoder.js - Long-lived WebM/Opus -> PCM transcoder for one client session
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+import stream from 'stream';
+
+// --- Set Ffmpeg Path ---
+ffmpeg.setFfmpegPath(ffmpegInstaller.path);
+// --- End Ffmpeg Path ---
+
+const PCM_FRAME_BYTES = 3200;       // 100ms of 16-bit 16kHz mono PCM
+const MAX_RESTARTS = 3;             // Restarts allowed within RESTART_WINDOW_MS before giving up
+const RESTART_WINDOW_MS = 60000;
+const WEBM_CLUSTER_ID = Buffer.from([0x1f, 0x43, 0xb6, 0x75]);
+const EBML_MAGIC = Buffer.from([0x1a, 0x45, 0xdf, 0xa3]); // Starts every new WebM stream
+
+/**
+ * Transcodes a continuous WebM/Opus stream (as produced by MediaRecorder timeslices)
+ * into 16-bit 16kHz mono PCM using a single ffmpeg process per client.
+ *
+ * Only the first MediaRecorder chunk carries the WebM header, so the header is kept
+ * and replayed into a fresh ffmpeg process if the current one crashes mid-session.
+ * A chunk starting with a new header (capture restarted) starts a fresh process.
+ */
+export class StreamingTranscoder {
+    /**
+     * @param {string} clientId Client ID used for logging.
+     * @param {(base64Pcm: string) => void} onPcm Called with each decoded ~100ms PCM frame.
+     * @param {(error: Error) => void} [onFatalError] Called once restarts are exhausted.
+     */
+    constructor(clientId, onPcm, onFatalError) {
+        this.clientId = clientId;
+        this.onPcm = onPcm;
+        this.onFatalError = onFatalError || (() => {});
+        this.inputStream = null;
+        this.command = null;
+        this.pendingPcm = Buffer.alloc(0);
+        this.webmHeader = null;   // Bytes before the first Cluster element of the stream
+        this.restartTimes = [];
+        this.isClosed = false;
+
+        this._start();
+    }
+
+    _start() {
+        const inputStream = new stream.PassThrough();
+        const outputStream = new stream.PassThrough();
+        this.inputStream = inputStream;
+
+        outputStream.on('data', (chunk) => this._handlePcm(chunk));
+
+        this.command = ffmpeg(inputStream)
+            .inputFormat('webm')
+            .audioCodec('pcm_s16le') // Output codec: signed 16-bit little-endian PCM
+            .audioChannels(1)        // Output channels: mono
+            .audioFrequency(16000)   // Output sample rate: 16kHz
+            .format('s16le')         // Output container format for raw PCM
+            .on('start', (commandLine) => {
+                console.log(`[Transcoder ${this.clientId}] FFmpeg started:`, commandLine);
+            })
+            .on('error', (err, stdout, stderr) => {
+                if (this.isClosed || this.inputStream !== inputStream) {
+                    return; // Expected when we kill or replace the process ourselves
+                }
+                console.error(`[Transcoder ${this.clientId}] FFmpeg Error:`, err.message);
+                console.error(`[Transcoder ${this.clientId}] FFmpeg stderr:`, stderr);
+                this._restart(err);
+            })
+            .on('end', () => {
+                if (!this.isClosed && this.inputStream === inputStream) {
+                    console.warn(`[Transcoder ${this.clientId}] FFmpeg exited before the session ended.`);
+                    this._restart(new Error('FFmpeg exited unexpectedly'));
+                }
+            });
+        this.command.pipe(outputStream, { end: true });
+
+        // A restarted process needs the WebM header before it can decode further clusters
+        if (this.webmHeader) {
+            inputStream.write(this.webmHeader);
+        }
+    }
+
+    _restart(error) {
+        const now = Date.now();
+        this.restartTimes = this.restartTimes.filter(time => now - time < RESTART_WINDOW_MS);
+        if (this.restartTimes.length >= MAX_RESTARTS) {
+            console.error(`[Transcoder ${this.clientId}] FFmpeg failed ${MAX_RESTARTS} times within ${RESTART_WINDOW_MS / 1000}s. Giving up.`);
+            this.close();
+            this.onFatalError(error);
+            return;
+        }
+        this.restartTimes.push(now);
+        console.log(`[Transcoder ${this.clientId}] Restarting FFmpeg (attempt ${this.restartTimes.length}/${MAX_RESTARTS})...`);
+        this._stopProcess();
+        this.pendingPcm = Buffer.alloc(0);
+        this._start();
+    }
+
+    _handlePcm(chunk) {
+        this.pendingPcm = Buffer.concat([this.pendingPcm, chunk]);
+        while (this.pendingPcm.length >= PCM_FRAME_BYTES) {
+            const frame = this.pendingPcm.subarray(0, PCM_FRAME_BYTES);
+            this.pendingPcm = this.pendingPcm.subarray(PCM_FRAME_BYTES);
+            this.onPcm(frame.toString('base64'));
+        }
+    }
+
+    /**
+     * Feeds one MediaRecorder chunk into the running ffmpeg process.
+     * @param {Buffer} buffer WebM/Opus bytes.
+     */
+    write(buffer) {
+        if (this.isClosed) {
+            console.warn(`[Transcoder ${this.clientId}] Write after close ignored.`);
+            return;
+        }
+        if (this.webmHeader && buffer.subarray(0, EBML_MAGIC.length).equals(EBML_MAGIC)) {
+            this._startNewStream();
+        }
+        if (!this.webmHeader) {
+            const clusterIndex = buffer.indexOf(WEBM_CLUSTER_ID);
+            this.webmHeader = Buffer.from(clusterIndex > 0 ? buffer.subarray(0, clusterIndex) : buffer);
+        }
+        this.inputStream.write(buffer);
+    }
+
+    // Replaces the process when a new MediaRecorder stream begins, since ffmpeg can't
+    // decode a second header in the middle of the first stream
+    _startNewStream() {
+        console.log(`[Transcoder ${this.clientId}] New WebM stream started. Restarting FFmpeg.`);
+        this._stopProcess();
+        this.pendingPcm = Buffer.alloc(0);
+        this.webmHeader = null;
+        this.restartTimes = [];
+        this._start();
+    }
+
+    _stopProcess() {
+        const inputStream = this.inputStream;
+        const command = this.command;
+        this.inputStream = null;
+        this.command = null;
+        if (inputStream) {
+            inputStream.end();
+        }
+        if (command) {
+            try {
+                command.kill('SIGKILL');
+            } catch (e) {
+                // Process may already have exited
+            }
+        }
+    }
+
+    // Stops ffmpeg and releases the streams; safe to call more than once
+    close() {
+        if (this.isClosed) return;
+        this.isClosed = true;
+        console.log(`[Transcoder ${this.clientId}] Closing.`);
+        this._stopProcess();
+        // Flush whatever full samples are left so the tail of the utterance isn't lost
+        const remaining = this.pendingPcm.length - (this.pendingPcm.length % 2);
+        if (remaining > 0) {
+            this.onPcm(this.pendingPcm.subarray(0, remaining).toString('base64'));
+        }
+        this.pendingPcm = Buffer.alloc(0);
+    }
+}
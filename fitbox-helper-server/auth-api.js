@@ -0,0 +1,110 @@
+// auth-api.js - Public routes for the extension: sign-in and the user's own usage
+//
+//   POST /auth/pair     { code, deviceName? }          Redeem a pairing code for a token
+//   POST /auth/google   { accessToken, deviceName? }   Exchange a Google access token for a token
+//   GET  /auth/me       Authorization: Bearer <token>  Check a token before connecting
+//   GET  /auth/usage    Authorization: Bearer <token>  Today's usage and quotas of the token's user
+//
+// The extension calls these from its service worker, so they answer CORS preflights.
+// Tokens are created here and checked again on every WebSocket upgrade (see index.js).
+import { sendJson, readJsonBody } from './admin-api.js';
+import {
+    redeemPairingCode,
+    signInWithGoogle,
+    authenticateClientToken,
+    isClientAuthRequired,
+    isGoogleSignInEnabled
+} from './client-auth.js';
+import { getUsageUser, getUserUsage } from './usage-quotas.js';
+
+const AUTH_PREFIX = '/auth/';
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*', // Tokens travel in headers and bodies, never in cookies
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Max-Age': '600'
+};
+
+/**
+ * Reads the bearer token of a request.
+ * @param {http.IncomingMessage} req
+ * @returns {string|null}
+ */
+export function getBearerToken(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1].trim() : null;
+}
+
+async function pair(req) {
+    const body = await readJsonBody(req);
+    return { status: 201, body: await redeemPairingCode(body.code, { deviceName: body.deviceName }) };
+}
+
+async function google(req) {
+    const body = await readJsonBody(req);
+    return { status: 201, body: await signInWithGoogle(body.accessToken, { deviceName: body.deviceName }) };
+}
+
+async function me(req) {
+    const token = getBearerToken(req);
+    const client = token ? await authenticateClientToken(token) : null;
+    if (!client && (token || isClientAuthRequired())) {
+        return { status: 401, body: { code: 'auth_required', error: 'Please pair this browser with the fitbox Helper first.' } };
+    }
+    return {
+        status: 200,
+        body: { authRequired: isClientAuthRequired(), googleSignIn: isGoogleSignInEnabled(), client }
+    };
+}
+
+async function usage(req) {
+    const token = getBearerToken(req);
+    const client = token ? await authenticateClientToken(token) : null;
+    if (!client && isClientAuthRequired()) {
+        return { status: 401, body: { code: 'auth_required', error: 'Please pair this browser with the fitbox Helper first.' } };
+    }
+    return { status: 200, body: getUserUsage(getUsageUser(client)) };
+}
+
+/**
+ * Handles a request if it belongs to the sign-in routes.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {URL} url The parsed request URL.
+ * @returns {Promise<boolean>} False if the request is not for /auth/.
+ */
+export async function handleAuthRequest(req, res, url) {
+    if (!url.pathname.startsWith(AUTH_PREFIX)) {
+        return false;
+    }
+    Object.entries(CORS_HEADERS).forEach(([name, value]) => res.setHeader(name, value));
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return true;
+    }
+
+    const route = url.pathname.substring(AUTH_PREFIX.length);
+    const handler = route === 'pair' && req.method === 'POST' ? () => pair(req)
+        : route === 'google' && req.method === 'POST' ? () => google(req)
+        : route === 'me' && req.method === 'GET' ? () => me(req)
+        : route === 'usage' && req.method === 'GET' ? () => usage(req)
+        : null;
+    if (!handler) {
+        sendJson(res, 404, { error: `No auth route for ${req.method} ${url.pathname}.` });
+        return true;
+    }
+
+    try {
+        const { status, body } = await handler();
+        sendJson(res, status, body);
+    } catch (error) {
+        const status = error.status || 500;
+        if (status >= 500) {
+            console.error(`[Auth] ${req.method} ${url.pathname} failed:`, error);
+        }
+        sendJson(res, status, { error: error.message });
+    }
+    return true;
+}
@@ -0,0 +1,247 @@
+// client-auth.js - Per-user tokens for the extension: pairing codes, Google sign-in and revocation
+//
+// An admin creates a short-lived pairing code for a user; the extension redeems it (or
+// signs in with Google) for a long-lived token that it sends on every WebSocket upgrade.
+// Only SHA-256 hashes of tokens are stored, in CLIENT_TOKENS_FILE (default ./data/client-tokens.json).
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const PAIRING_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to misread
+const PAIRING_CODE_LENGTH = 8;
+const GOOGLE_TOKENINFO_URL = 'https://oauth2.googleapis.com/tokeninfo';
+const LAST_USED_SAVE_INTERVAL_MS = 60 * 1000; // lastUsedAt is only for admins; don't rewrite the file on every use
+
+const pairingCodes = new Map(); // Normalized code -> { user, expiresAt }
+const revocationListeners = [];
+let clients = null; // Stored token records, loaded on first use
+let writeQueue = Promise.resolve(); // Serializes writes to the token file
+const lastUsedSavedAt = new Map(); // Client ID -> when its lastUsedAt was last written
+
+// Read lazily because dotenv runs after imports
+function getTokensFile() {
+    return path.resolve(process.env.CLIENT_TOKENS_FILE || './data/client-tokens.json');
+}
+
+function getPairingCodeTtlMs() {
+    const minutes = parseInt(process.env.PAIRING_CODE_TTL_MINUTES, 10);
+    return (Number.isFinite(minutes) && minutes > 0 ? minutes : 10) * 60 * 1000;
+}
+
+function splitList(value) {
+    return (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Error carrying the HTTP status to answer with (see admin-api.js)
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Whether WebSocket clients must present a token. On unless CLIENT_AUTH_REQUIRED=false,
+ * which is meant for local development only.
+ * @returns {boolean}
+ */
+export function isClientAuthRequired() {
+    return process.env.CLIENT_AUTH_REQUIRED !== 'false';
+}
+
+/**
+ * Whether the Google sign-in option is configured (GOOGLE_OAUTH_CLIENT_ID).
+ * @returns {boolean}
+ */
+export function isGoogleSignInEnabled() {
+    return !!process.env.GOOGLE_OAUTH_CLIENT_ID;
+}
+
+async function loadClients() {
+    if (clients) return clients;
+    try {
+        const parsed = JSON.parse(await fs.promises.readFile(getTokensFile(), 'utf8'));
+        clients = Array.isArray(parsed?.clients) ? parsed.clients : [];
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        clients = [];
+    }
+    return clients;
+}
+
+// Writes the token records atomically, one write at a time
+function saveClients() {
+    const run = writeQueue.then(async () => {
+        const filePath = getTokensFile();
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify({ clients }, null, 2));
+        await fs.promises.rename(tempPath, filePath);
+    });
+    writeQueue = run.catch(error => console.error('[Auth] Failed to save client tokens:', error.message));
+    return run;
+}
+
+// Record as shown to admins and to the extension; never includes the hash
+function toPublicClient(client) {
+    const { tokenHash, ...visible } = client;
+    return visible;
+}
+
+async function issueToken({ user, method, deviceName }) {
+    await loadClients();
+    const token = crypto.randomBytes(32).toString('base64url');
+    const client = {
+        id: crypto.randomUUID(),
+        tokenHash: hashToken(token),
+        user,
+        method,
+        deviceName: typeof deviceName === 'string' && deviceName.trim() ? deviceName.trim().substring(0, 100) : null,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        revokedAt: null
+    };
+    clients.push(client);
+    await saveClients();
+    console.log(`[Auth] Issued a token to '${user}' (${method}, client ${client.id}).`);
+    return { token, client: toPublicClient(client) };
+}
+
+/**
+ * Creates a single-use pairing code for a user, valid for PAIRING_CODE_TTL_MINUTES (10).
+ * @param {string} user Who the resulting token belongs to (name or email).
+ * @returns {{code: string, user: string, expiresAt: string}}
+ */
+export function createPairingCode(user) {
+    if (typeof user !== 'string' || !user.trim()) {
+        throw httpError(400, 'A pairing code needs the user it is for.');
+    }
+    const now = Date.now();
+    pairingCodes.forEach((pairing, code) => {
+        if (pairing.expiresAt <= now) pairingCodes.delete(code);
+    });
+
+    let code = '';
+    const bytes = crypto.randomBytes(PAIRING_CODE_LENGTH);
+    for (let i = 0; i < PAIRING_CODE_LENGTH; i++) {
+        code += PAIRING_CODE_ALPHABET[bytes[i] % PAIRING_CODE_ALPHABET.length];
+    }
+    const expiresAt = now + getPairingCodeTtlMs();
+    pairingCodes.set(code, { user: user.trim(), expiresAt });
+    return { code: `${code.substring(0, 4)}-${code.substring(4)}`, user: user.trim(), expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Exchanges a pairing code for a token. Each code works once.
+ * @param {string} code As shown to the admin; case, spaces and dashes are ignored.
+ * @param {{deviceName?: string}} [device]
+ * @returns {Promise<{token: string, client: object}>}
+ * @throws {Error} With status 401 if the code is unknown or expired.
+ */
+export async function redeemPairingCode(code, { deviceName } = {}) {
+    const normalized = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const pairing = pairingCodes.get(normalized);
+    pairingCodes.delete(normalized);
+    if (!pairing || pairing.expiresAt <= Date.now()) {
+        throw httpError(401, 'This pairing code is invalid or has expired. Ask your administrator for a new one.');
+    }
+    return issueToken({ user: pairing.user, method: 'pairing', deviceName });
+}
+
+/**
+ * Verifies a Google access token from chrome.identity and issues a token for its email.
+ * The token must be for GOOGLE_OAUTH_CLIENT_ID, and the email must be listed in
+ * AUTH_GOOGLE_ALLOWED_EMAILS or belong to AUTH_GOOGLE_ALLOWED_DOMAINS.
+ * @param {string} accessToken
+ * @param {{deviceName?: string}} [device]
+ * @returns {Promise<{token: string, client: object}>}
+ */
+export async function signInWithGoogle(accessToken, { deviceName } = {}) {
+    if (!isGoogleSignInEnabled()) {
+        throw httpError(501, 'Google sign-in is not enabled on this server.');
+    }
+    if (typeof accessToken !== 'string' || !accessToken) {
+        throw httpError(400, 'Missing Google access token.');
+    }
+
+    const response = await fetch(`${GOOGLE_TOKENINFO_URL}?access_token=${encodeURIComponent(accessToken)}`);
+    if (!response.ok) {
+        throw httpError(401, 'Google did not accept the sign-in. Please try again.');
+    }
+    const info = await response.json();
+    if (info.aud !== process.env.GOOGLE_OAUTH_CLIENT_ID && info.azp !== process.env.GOOGLE_OAUTH_CLIENT_ID) {
+        throw httpError(401, 'The Google sign-in was issued for a different application.');
+    }
+    const email = (info.email || '').toLowerCase();
+    if (!email || String(info.email_verified) !== 'true') {
+        throw httpError(401, 'Your Google account has no verified email address.');
+    }
+    const allowedEmails = splitList(process.env.AUTH_GOOGLE_ALLOWED_EMAILS);
+    const allowedDomains = splitList(process.env.AUTH_GOOGLE_ALLOWED_DOMAINS);
+    if (!allowedEmails.includes(email) && !allowedDomains.includes(email.split('@')[1])) {
+        console.warn(`[Auth] Google sign-in refused for ${email}: not on the allow-list.`);
+        throw httpError(403, `${email} is not allowed to use the fitbox Helper.`);
+    }
+    return issueToken({ user: email, method: 'google', deviceName });
+}
+
+/**
+ * Looks up the client a token belongs to. Revoked tokens don't authenticate.
+ * @param {string} token
+ * @returns {Promise<object|null>} The client record (without the hash), or null.
+ */
+export async function authenticateClientToken(token) {
+    if (typeof token !== 'string' || !token) return null;
+    await loadClients();
+    const tokenHash = hashToken(token);
+    const client = clients.find(stored => stored.tokenHash === tokenHash && !stored.revokedAt);
+    if (!client) return null;
+    const now = Date.now();
+    client.lastUsedAt = new Date(now).toISOString(); // In memory at once, saved with the next write
+    if (now - (lastUsedSavedAt.get(client.id) || 0) >= LAST_USED_SAVE_INTERVAL_MS) {
+        lastUsedSavedAt.set(client.id, now);
+        saveClients().catch(() => { /* Logged by saveClients */ });
+    }
+    return toPublicClient(client);
+}
+
+/**
+ * Lists issued tokens, newest first, for the admin API.
+ * @returns {Promise<object[]>}
+ */
+export async function listClients() {
+    await loadClients();
+    return clients.map(toPublicClient).reverse();
+}
+
+/**
+ * Revokes a token. Listeners registered with onClientRevoked disconnect its live sockets.
+ * @param {string} clientId
+ * @returns {Promise<object>} The revoked client.
+ * @throws {Error} With status 404 if the client is unknown.
+ */
+export async function revokeClient(clientId) {
+    await loadClients();
+    const client = clients.find(stored => stored.id === clientId);
+    if (!client) {
+        throw httpError(404, `No client '${clientId}'.`);
+    }
+    if (!client.revokedAt) {
+        client.revokedAt = new Date().toISOString();
+        await saveClients();
+        console.log(`[Auth] Revoked the token of '${client.user}' (client ${client.id}).`);
+        revocationListeners.forEach(listener => listener(toPublicClient(client)));
+    }
+    return toPublicClient(client);
+}
+
+/**
+ * Registers a callback for revoked tokens (index.js closes their connections).
+ * @param {(client: object) => void} listener
+ */
+export function onClientRevoked(listener) {
+    revocationListeners.push(listener);
+}
@@ -0,0 +1,78 @@
+// config.js - Deployment configuration read from environment variables
+
+const DEFAULT_PERSONA = 'You are the fitbox Helper, a helpful, concise voice assistant for the fitbox IQ gym management application. ' +
+    'Guide the user step by step through the screen they are on, keep answers short, and respond naturally for voice output. ' +
+    'If you are unsure how something works in fitbox, say so instead of guessing.';
+
+// Splits a comma separated environment value into a trimmed, non-empty list
+function parseList(value, fallback) {
+    if (!value) return fallback;
+    const items = value.split(',').map(item => item.trim()).filter(Boolean);
+    return items.length > 0 ? items : fallback;
+}
+
+// The Live API accepts exactly one response modality per session
+const RESPONSE_MODALITIES = ['AUDIO', 'TEXT'];
+
+// Parses GEMINI_RESPONSE_MODALITIES; with AUDIO the text comes from output transcription
+function parseResponseModalities(value) {
+    const modalities = parseList(value, ['AUDIO']).map(m => m.toUpperCase());
+    if (modalities.length !== 1 || !RESPONSE_MODALITIES.includes(modalities[0])) {
+        throw new Error(`GEMINI_RESPONSE_MODALITIES must be exactly one of ${RESPONSE_MODALITIES.join(' or ')} ` +
+            `(the Live API allows one response modality per session), got '${value}'.`);
+    }
+    return modalities;
+}
+
+// Parses a positive integer environment value, falling back on anything else
+function parsePositiveInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Returns the Gemini Live session configuration for this deployment.
+ * Read lazily so values loaded by dotenv in index.js are picked up.
+ * @throws {Error} If GEMINI_RESPONSE_MODALITIES is not a single supported modality.
+ * @returns {{model: string, responseModalities: string[], voiceName: string, languageCode: string, persona: string, queueMaxAudioMs: number, queueMaxBytes: number, reconnectMaxAttempts: number, reconnectBaseDelayMs: number, compressionTriggerTokens: number|null, sessionMaxAudioMs: number|null, sessionMaxTokens: number|null, sessionWarnBeforeMs: number}}
+ */
+export function getGeminiConfig() {
+    return {
+        model: process.env.GEMINI_MODEL || 'gemini-2.0-flash-exp',
+        responseModalities: parseResponseModalities(process.env.GEMINI_RESPONSE_MODALITIES),
+        voiceName: process.env.GEMINI_VOICE_NAME || 'Puck', // Aoede, Charon, Fenrir, Kore or Puck
+        languageCode: process.env.GEMINI_LANGUAGE_CODE || 'en-US',
+        persona: process.env.ASSISTANT_PERSONA || DEFAULT_PERSONA,
+        // Limits for client input buffered while the Gemini session is still being set up
+        queueMaxAudioMs: parsePositiveInt(process.env.SETUP_QUEUE_MAX_AUDIO_MS, 10000),
+        queueMaxBytes: parsePositiveInt(process.env.SETUP_QUEUE_MAX_BYTES, 512 * 1024),
+        // Reconnecting to Gemini after its connection drops (the extension stays connected)
+        reconnectMaxAttempts: parsePositiveInt(process.env.GEMINI_RECONNECT_MAX_ATTEMPTS, 5),
+        reconnectBaseDelayMs: parsePositiveInt(process.env.GEMINI_RECONNECT_DELAY_MS, 1000),
+        // Long sessions: sliding-window compression (Gemini's default trigger unless set), and a
+        // rollover to a fresh session after this much audio or these many tokens
+        compressionTriggerTokens: parsePositiveInt(process.env.GEMINI_COMPRESSION_TRIGGER_TOKENS, null),
+        sessionMaxAudioMs: parsePositiveInt(process.env.GEMINI_SESSION_MAX_AUDIO_MS, null),
+        sessionMaxTokens: parsePositiveInt(process.env.GEMINI_SESSION_MAX_TOKENS, null),
+        sessionWarnBeforeMs: parsePositiveInt(process.env.GEMINI_SESSION_WARN_BEFORE_MS, 60 * 1000)
+    };
+}
+
+/**
+ * Returns the usage quotas enforced by usage-quotas.js. A limit without a default is
+ * unlimited unless its variable is set.
+ * @returns {{userAudioSecondsPerDay: number, globalAudioSecondsPerDay: number|null, userMessagesPerMinute: number, globalMessagesPerMinute: number|null, userConcurrentSessions: number, globalConcurrentSessions: number|null}}
+ */
+export function getQuotaConfig() {
+    return {
+        // Microphone audio relayed to Gemini per UTC day
+        userAudioSecondsPerDay: parsePositiveInt(process.env.QUOTA_USER_AUDIO_SECONDS_PER_DAY, 4 * 60 * 60),
+        globalAudioSecondsPerDay: parsePositiveInt(process.env.QUOTA_GLOBAL_AUDIO_SECONDS_PER_DAY, null),
+        // Client messages (audio frames included, 10 per second while talking) per minute
+        userMessagesPerMinute: parsePositiveInt(process.env.QUOTA_USER_MESSAGES_PER_MINUTE, 1200),
+        globalMessagesPerMinute: parsePositiveInt(process.env.QUOTA_GLOBAL_MESSAGES_PER_MINUTE, null),
+        // AI sessions open at the same time
+        userConcurrentSessions: parsePositiveInt(process.env.QUOTA_USER_CONCURRENT_SESSIONS, 2),
+        globalConcurrentSessions: parsePositiveInt(process.env.QUOTA_GLOBAL_CONCURRENT_SESSIONS, null)
+    };
+}
@@ -0,0 +1,61 @@
+// conversation-summary.js - Compact recap of a conversation, used to seed a fresh Gemini session
+
+const MAX_SUMMARY_CHARS = 4000; // Keeps the recap small next to the screen knowledge
+const RECENT_TURN_CHARS = 240; // Recent turns are kept nearly whole...
+const EARLIER_QUESTION_CHARS = 100; // ...older ones only as the user's questions
+
+function shorten(text, maxChars) {
+    const clean = (text || '').replace(/\s+/g, ' ').trim();
+    return clean.length > maxChars ? `${clean.substring(0, maxChars - 3)}...` : clean;
+}
+
+/**
+ * Summarizes a conversation from its transcript without calling the model: the screens
+ * visited, the most recent turns, and as many of the user's earlier questions as still
+ * fit. Built again from the whole transcript at every rollover, so it keeps running
+ * across any number of renewed sessions.
+ * @param {{speaker: 'user'|'assistant', text: string}[]} transcript Finished entries, oldest first.
+ * @param {string[]} [screens] Screens visited, oldest first.
+ * @returns {string} Empty if there is nothing to summarize yet.
+ */
+export function summarizeConversation(transcript, screens = []) {
+    const turns = transcript.filter(entry => entry.text);
+    if (turns.length === 0) {
+        return '';
+    }
+
+    const header = 'Summary of the conversation so far, which continues in this new session. ' +
+        'Carry on naturally and do not greet the user again.';
+    const screenLine = screens.length > 0 ? `Screens visited: ${Array.from(new Set(screens)).join(', ')}.` : '';
+
+    // Newest turns first in two thirds of the budget, then the older questions in the rest
+    let budget = MAX_SUMMARY_CHARS - header.length - screenLine.length;
+    let recentBudget = Math.floor(budget * 2 / 3);
+    const recent = [];
+    let index = turns.length - 1;
+    for (; index >= 0; index--) {
+        const entry = turns[index];
+        const line = `${entry.speaker === 'user' ? 'User' : 'Helper'}: ${shorten(entry.text, RECENT_TURN_CHARS)}`;
+        if (line.length + 1 > recentBudget) break;
+        recent.unshift(line);
+        recentBudget -= line.length + 1;
+        budget -= line.length + 1;
+    }
+
+    const earlier = [];
+    for (; index >= 0; index--) {
+        const entry = turns[index];
+        if (entry.speaker !== 'user') continue;
+        const line = `- ${shorten(entry.text, EARLIER_QUESTION_CHARS)}`;
+        if (line.length + 1 > budget) break;
+        earlier.unshift(line);
+        budget -= line.length + 1;
+    }
+
+    return [
+        header,
+        screenLine,
+        earlier.length > 0 ? `Earlier questions from the user:\n${earlier.join('\n')}` : '',
+        `Most recent turns:\n${recent.join('\n')}`
+    ].filter(Boolean).join('\n');
+}
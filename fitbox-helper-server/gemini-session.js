@@ -1,18 +1,82 @@
 // gemini-session.js
 import WebSocket from 'ws'; // Use the same WebSocket library for consistency
 import { v4 as uuidv4 } from 'uuid';
+import { getGeminiConfig } from './config.js';
+import { retrieveKnowledge, formatPassages, getKnowledgeForScreen, getKnowledgeVersion, describePageContext, buildSystemInstruction } from './knowledge.js';
+import { getToolDeclarations, executeTool } from './tools.js';
+import { describeScreenParams } from './screen-routes.js';
+import { SessionRecorder } from './session-history.js';
+import { summarizeConversation } from './conversation-summary.js';
+
+// Longest message accepted from the popup's text chat
+const MAX_USER_TEXT_LENGTH = 2000;
+const LOG_PAYLOAD_MAX_CHARS = 300; // Longer payloads (knowledge, transcripts) are cut in the log
+
+// Microphone capture modes the extension offers. In the gated modes the extension marks
+// speech boundaries itself, so Gemini's automatic activity detection is turned off.
+export const CAPTURE_MODES = ['always_on', 'push_to_talk', 'vad'];
 
 /**
  * Manages a single WebSocket connection to the Gemini Live API.
  * Handles message proxying and session lifecycle.
  */
 export class GeminiSession {
-    constructor(clientWs, initialContext) {
+    /**
+     * @param {WebSocket} clientWs WebSocket connection to the Chrome extension client.
+     * @param {string} initialContext System instruction text (persona + screen knowledge).
+     * @param {string} [initialScreen] Screen the system instruction was built for.
+     * @param {{captureMode?: string, onClose?: () => void}} [options] Capture mode selected in the
+     *   extension, and a callback for when the session closes (for whatever reason).
+     */
+    constructor(clientWs, initialContext, initialScreen, options = {}) {
         this.sessionId = uuidv4();
         this.clientWs = clientWs; // WebSocket connection to the Chrome extension client
+        this.history = new SessionRecorder(this.sessionId); // Persists screens, transcripts, tool calls and errors
+        this.history.record('start', { screen: initialScreen || null, client: clientWs?.clientInfo || null });
         this.geminiWs = null;     // WebSocket connection to the Gemini API
         this.initialContext = initialContext || "You are a helpful voice assistant.";
+        this.config = getGeminiConfig();
+        this.captureMode = CAPTURE_MODES.includes(options.captureMode) ? options.captureMode : 'always_on';
+        this.onClose = options.onClose || null;
+        this.currentContext = initialScreen || null; // Screen the conversation currently knows about
+        this.screenParams = {}; // Route parameters of the current screen, e.g. { memberId: '4821' }
+        this.screensVisited = initialScreen ? [initialScreen] : []; // For the summary that seeds a renewed session
+        this.pageContext = null; // Structured page details extracted by the extension's content script
+        this.latestUserQuestion = null; // Last complete user utterance (from input transcription), used to rank knowledge
+        this.transcript = []; // Finished transcript entries of both speakers, in order
+        this.openTranscripts = { user: null, assistant: null }; // Entries still receiving transcription text
+        this.sentKnowledgeSources = new Set(); // Passage source IDs already given to the model for the current screen
+        this.knowledgeVersion = getKnowledgeVersion(); // Knowledge the model has seen; edits are sent on the next context refresh
         this.isConnectedToGemini = false;
+        this.isSetupComplete = false; // Gemini only accepts input after setupComplete
+        this.hasCompletedSetup = false; // At least one Gemini connection got through setup
+        this.isClosed = false;
+
+        // Transparent reconnects: the latest resumption handle lets a new Gemini connection
+        // continue the same conversation. Client input is queued during the gap.
+        this.resumptionHandle = null;
+        this.connectionUsesHandle = false; // The current connection attempt resumes with a handle
+        this.isReconnecting = false;
+        this.reconnectAttempts = 0; // Attempts since the last connection that completed setup
+        this.reconnectTimer = null;
+
+        // Length of the current Gemini conversation (kept across resumed connections), checked
+        // against the configured limits; a rollover starts a fresh conversation seeded with a summary
+        this.conversationAudioMs = 0;
+        this.conversationTokens = 0; // totalTokenCount from Gemini's latest usageMetadata
+        this.hasWarnedAboutLimits = false;
+        this.isRolloverPending = false; // Limit reached; waiting for the current turn to finish
+
+        // Client input received before setupComplete, flushed in order once setup is done
+        this.pendingClientMessages = [];
+        this.pendingAudioMs = 0;
+        this.pendingBytes = 0;
+        this.hasReportedQueueOverflow = false;
+
+        // Tool calls still running, by Gemini call ID: { controller: AbortController }
+        this.pendingToolCalls = new Map();
+        // Browser tool calls forwarded to the extension, by call ID: { resolve, reject }
+        this.pendingBrowserCalls = new Map();
 
         console.log(`[GeminiSession ${this.sessionId}] Created.`);
 
@@ -25,7 +89,7 @@ export class GeminiSession {
         if (!process.env.GEMINI_API_HOST || !process.env.GEMINI_API_KEY) {
             console.error(`[GeminiSession ${this.sessionId}] ERROR: Gemini API Host or Key not configured in environment variables.`);
             this._sendErrorToClient('Gemini API connection details are missing.');
-            this.close();
+            this.close('missing_configuration');
             return;
         }
 
@@ -38,7 +102,7 @@ export class GeminiSession {
         const host = process.env.GEMINI_API_HOST; // Should be wss://generativelanguage.googleapis.com
         const apiKey = process.env.GEMINI_API_KEY;
         const path = '/ws/google.ai.generativelanguage.v1alpha.GenerativeService.BidiGenerateContent'; // Use dot separator
-        const modelName = 'gemini-2.0-flash-exp'; // Revert to experimental model, as 1.5-flash is not compatible with v1alpha endpoint
+        const modelName = this.config.model; // Defaults to gemini-2.0-flash-exp; 1.5-flash is not compatible with v1alpha endpoint
 
         if (!host || !apiKey) {
              console.error(`[GeminiSession ${this.sessionId}] ERROR: Cannot connect, Host or Key missing after check.`);
@@ -50,6 +114,14 @@ export class GeminiSession {
         // Use API key in query parameter (worked in minimal test)
         const geminiUrl = `${host}${path}?key=${apiKey}`;
 
+        if (!this.connectionUsesHandle) {
+            // A new conversation: its length starts from zero
+            this.conversationAudioMs = 0;
+            this.conversationTokens = 0;
+            this.hasWarnedAboutLimits = false;
+            this.isRolloverPending = false;
+        }
+
         try {
             console.log(`[GeminiSession ${this.sessionId}] Attempting WebSocket connection to: ${host}${path}`); // Log host and path separately for clarity
             this.geminiWs = new WebSocket(geminiUrl);
@@ -59,22 +131,10 @@ export class GeminiSession {
                 console.log(`[GeminiSession ${self.sessionId}] Gemini WebSocket connection opened.`);
                 self.isConnectedToGemini = true;
 
-                // Send the required setup message
-                // Example from potential docs - adjust based on actual v1alpha spec!
-                const setupMessage = {
-                    "setup": {
-                       "model": "models/gemini-2.0-flash-exp", // Check if correct model name for live audio
-                        "generationConfig": {
-                            "responseModalities": ["TEXT", "AUDIO"]
-                        }
-                    }
-                };
-                console.log(`[GeminiSession ${self.sessionId}] Sending setup message:`, JSON.stringify(setupMessage));
+                // Send the required setup message (model, voice, persona + knowledge)
+                const setupMessage = self._buildSetupMessage(modelName);
+                console.log(`[GeminiSession ${self.sessionId}] Sending setup message for model ${modelName} (voice ${self.config.voiceName}, ${self.config.languageCode}).`);
                 self.geminiWs.send(JSON.stringify(setupMessage));
-
-                // Notify our client (extension) that we're ready
-                console.log(`[GeminiSession ${self.sessionId}] Sending initial context/ready message to client.`);
-                self.sendToClient({ type: 'ai_ready', context: self.initialContext });
             });
 
             this.geminiWs.on('message', (data) => {
@@ -83,40 +143,78 @@ export class GeminiSession {
                 try {
                     // Data might be Buffer, convert to string first
                     message = JSON.parse(data.toString());
-                    console.log(`[GeminiSession ${self.sessionId}] Received Gemini message:`, JSON.stringify(message, null, 2));
+                    // Audio arrives many times a second; logging its base64 would flood the console
+                    if (!hasInlineAudio(message)) {
+                        console.log(`[GeminiSession ${self.sessionId}] Received Gemini message:`, truncateForLog(JSON.stringify(message)));
+                    }
                 } catch (e) {
                     console.error(`[GeminiSession ${self.sessionId}] Failed to parse Gemini message:`, e);
                     console.error(`[GeminiSession ${self.sessionId}] Raw data received:`, data);
                     // Decide how to handle non-JSON data or parsing errors
                     // Maybe forward raw data if expecting binary (audio)?
                     // For now, just log error and maybe inform client.
-                    self._sendErrorToClient('Received malformed data from AI service.');
+                    self._sendErrorToClient('Received malformed data from AI service.', { fatal: false });
                     return; // Stop processing this message
                 }
 
+                if (message.usageMetadata?.totalTokenCount) {
+                    self.conversationTokens = message.usageMetadata.totalTokenCount;
+                    self._checkConversationLimits();
+                }
+
                 // Handle different message types from Gemini
                 if (message.setupComplete) {
                     console.log(`[GeminiSession ${self.sessionId}] Setup complete confirmed by Gemini.`);
+                    self.isSetupComplete = true;
+                    self.hasCompletedSetup = true;
+                    self.reconnectAttempts = 0;
+                    if (self.isReconnecting) {
+                        self.isReconnecting = false;
+                        const resumed = self.connectionUsesHandle;
+                        console.log(`[GeminiSession ${self.sessionId}] Reconnected to Gemini (${resumed ? 'conversation resumed' : 'new conversation'}).`);
+                        self.sendToClient({
+                            type: 'status',
+                            code: 'gemini_reconnected',
+                            resumed,
+                            message: resumed
+                                ? 'Reconnected to the AI service.'
+                                : 'Reconnected to the AI service, but the earlier conversation could not be restored.'
+                        });
+                    }
                     // Now safe to send user input / audio etc.
                     self._sendQueuedClientMessages(); // Send any messages queued before setup was complete
 
+                    // Notify our client (extension) that we're ready
+                    console.log(`[GeminiSession ${self.sessionId}] Sending initial context/ready message to client.`);
+                    self.sendToClient({ type: 'ai_ready', context: self.initialContext });
+
                 } else if (message.serverContent) {
+                    self._handleTranscription(message.serverContent);
                     // Process content (text, audio) received from the server
                     self._proxyMessageToClient({ type: 'serverContent', content: message.serverContent });
+                    if (self.isRolloverPending && (message.serverContent.turnComplete || message.serverContent.interrupted)) {
+                        self._checkConversationLimits();
+                    }
 
                 } else if (message.toolCall) {
-                    // Handle function/tool calls if implemented
-                    console.warn(`[GeminiSession ${self.sessionId}] Received unhandled tool call:`, message.toolCall);
-                    // Send an error or default response back?
+                    self._handleToolCall(message.toolCall);
 
                 } else if (message.toolCallCancellation) {
-                    // Handle tool call cancellations if implemented
-                    console.warn(`[GeminiSession ${self.sessionId}] Received unhandled tool call cancellation:`, message.toolCallCancellation);
+                    self._handleToolCallCancellation(message.toolCallCancellation);
+
+                } else if (message.sessionResumptionUpdate) {
+                    self._handleSessionResumptionUpdate(message.sessionResumptionUpdate);
+
+                } else if (message.goAway) {
+                    // Gemini will close this connection soon; move to a new one while we still can
+                    console.log(`[GeminiSession ${self.sessionId}] Gemini sent goAway (time left: ${message.goAway.timeLeft || 'unknown'}).`);
+                    self._reconnectToGemini('go_away', 0);
                 
                 } else if (message.error) {
                     // Handle explicit errors from Gemini API (distinct from WS errors)
                     console.error(`[GeminiSession ${self.sessionId}] Received error message from Gemini:`, message.error);
-                    self._sendErrorToClient(`AI service error: ${message.error.message || 'Unknown error'}`);
+                    // If Gemini also drops the connection, the close handler reconnects or gives up
+                    self._sendErrorToClient(`AI service error: ${message.error.message || 'Unknown error'}`, { fatal: false });
 
                 } else {
                     console.warn(`[GeminiSession ${self.sessionId}] Received unknown message structure from Gemini:`, message);
@@ -127,69 +225,222 @@ export class GeminiSession {
                 // Log the specific error from the WebSocket connection attempt
                 console.error(`[GeminiSession ${self.sessionId}] Gemini WebSocket error:`, error);
                 self.isConnectedToGemini = false;
-                // Send a more specific error message if possible
-                const errorMessage = error?.message || 'Unknown AI service connection error';
-                self._sendErrorToClient(`AI service connection error: ${errorMessage}`);
-                // No need to call close() here, 'close' event will handle it
+                // No need to call close() here, 'close' event will reconnect or end the session
             });
 
             this.geminiWs.on('close', (code, reason) => {
                 const reasonString = reason?.toString() || 'No reason provided';
                 console.log(`[GeminiSession ${self.sessionId}] Gemini WebSocket closed. Code: ${code}, Reason: ${reasonString}`);
+                const wasOpen = self.isConnectedToGemini;
+                const wasSetUp = self.isSetupComplete;
                 self.isConnectedToGemini = false;
+                self.isSetupComplete = false;
                 self.geminiWs = null;
-                // Notify the client, unless it was closed intentionally by the client already
-                if (self.clientWs && self.clientWs.readyState === WebSocket.OPEN) {
-                    // Avoid sending error if the closure was expected (e.g., code 1000)
-                    if (code !== 1000) {
-                         self._sendErrorToClient(`AI service connection closed unexpectedly. Code: ${code}`);
-                    }
-                } 
-                 // Trigger session cleanup in index.js via the main close method
-                 self.close(); // Ensure resources are released
+                self._handleGeminiClose(code, { wasOpen, wasSetUp });
             });
 
         } catch (error) {
             console.error(`[GeminiSession ${this.sessionId}] Failed to create Gemini WebSocket:`, error);
             this.isConnectedToGemini = false;
             this._sendErrorToClient('Failed to initiate AI service connection.');
-            this.close();
+            this.close('gemini_connect_failed');
         }
     }
 
-    _sendInitialContextToGemini() {
-        // IMPORTANT: This depends heavily on the Gemini Live API protocol.
-        // It might require sending a specific JSON structure, initial audio silence,
-        // or just starting to send audio chunks immediately.
-        // Assuming a simple text message for context for now.
-        const initialMessage = {
-            // Example structure - ADJUST BASED ON ACTUAL API
-            type: 'context', 
-            content: this.initialContext
+    /**
+     * Builds the BidiGenerateContentSetup message. The fitbox knowledge and assistant
+     * persona travel as the session's systemInstruction, which stays in effect for the
+     * whole session.
+     * @param {string} modelName Model name without the 'models/' prefix.
+     * @returns {object} The setup message.
+     */
+    _buildSetupMessage(modelName) {
+        const generationConfig = {
+            responseModalities: this.config.responseModalities
         };
+        if (this.config.responseModalities.includes('AUDIO')) {
+            generationConfig.speechConfig = {
+                voiceConfig: {
+                    prebuiltVoiceConfig: { voiceName: this.config.voiceName }
+                },
+                languageCode: this.config.languageCode
+            };
+        }
+
+        const setup = {
+            model: `models/${modelName}`,
+            generationConfig,
+            systemInstruction: {
+                parts: [{ text: this.initialContext }]
+            },
+            // Transcripts of both sides; the model's speech can only be transcribed when it speaks
+            inputAudioTranscription: {}
+        };
+        if (this.config.responseModalities.includes('AUDIO')) {
+            setup.outputAudioTranscription = {};
+        }
+        // Ask for resumption handles; with a handle this connection continues an earlier one
+        setup.sessionResumption = this.connectionUsesHandle ? { handle: this.resumptionHandle } : {};
+        // Older turns are dropped from the context instead of the session hitting the window limit
+        setup.contextWindowCompression = {
+            slidingWindow: {},
+            ...(this.config.compressionTriggerTokens ? { triggerTokens: this.config.compressionTriggerTokens } : {})
+        };
+        if (this._usesManualActivity()) {
+            // The extension sends activityStart/activityEnd (push-to-talk or local VAD)
+            setup.realtimeInputConfig = { automaticActivityDetection: { disabled: true } };
+        }
+        const tools = getToolDeclarations();
+        if (tools.length > 0) {
+            setup.tools = tools;
+        }
+        return { setup };
+    }
+
+    /**
+     * Runs each function call from a Gemini toolCall through the tool registry and
+     * answers with a toolResponse. Calls cancelled in the meantime get no response.
+     * @param {{functionCalls: {id: string, name: string, args?: object}[]}} toolCall
+     */
+    _handleToolCall(toolCall) {
+        const functionCalls = toolCall.functionCalls || [];
+        functionCalls.forEach(async (functionCall) => {
+            const { id, name } = functionCall;
+            const controller = new AbortController();
+            const startedAt = Date.now();
+            this.pendingToolCalls.set(id, { controller });
+            console.log(`[GeminiSession ${this.sessionId}] Running tool '${name}' (call ${id}) with args:`, functionCall.args);
+
+            let response;
+            try {
+                const output = await executeTool(functionCall, this, controller.signal);
+                response = { output };
+            } catch (error) {
+                console.error(`[GeminiSession ${this.sessionId}] Tool '${name}' (call ${id}) failed:`, error.message);
+                response = { error: error.message };
+            }
+
+            const cancelled = !this.pendingToolCalls.has(id);
+            this.history.record('tool_call', {
+                id,
+                name,
+                args: functionCall.args || {},
+                response: cancelled ? { cancelled: true } : response,
+                durationMs: Date.now() - startedAt
+            });
+            if (cancelled) {
+                console.log(`[GeminiSession ${this.sessionId}] Tool call ${id} was cancelled. Discarding result.`);
+                return;
+            }
+            this.pendingToolCalls.delete(id);
+            controller.abort(); // Lets the tool stop any work still running (e.g. after a timeout)
+            this._sendToolResponse({ id, name, response });
+        });
+    }
+
+    // Aborts tool calls Gemini no longer wants (e.g. the user interrupted the turn)
+    _handleToolCallCancellation(cancellation) {
+        (cancellation.ids || []).forEach(id => {
+            const pending = this.pendingToolCalls.get(id);
+            if (pending) {
+                console.log(`[GeminiSession ${this.sessionId}] Cancelling tool call ${id}.`);
+                pending.controller.abort();
+                this.pendingToolCalls.delete(id);
+            }
+        });
+    }
+
+    /**
+     * Forwards a tool call to the extension, which runs it in the user's fitbox tab.
+     * Resolves with the page's result, or rejects if the extension reports an error,
+     * does not support browser tools, or the call is aborted.
+     * @param {string} callId The Gemini function call ID.
+     * @param {string} name Tool name (must be on the extension's allow-list).
+     * @param {object} args Tool arguments.
+     * @param {AbortSignal} signal Aborted on cancellation or timeout.
+     * @returns {Promise<object>}
+     */
+    runBrowserTool(callId, name, args, signal) {
+        const capabilities = this.clientWs?.clientInfo?.capabilities || [];
+        if (!capabilities.includes('browser_tools')) {
+            return Promise.reject(new Error('This version of the extension cannot perform actions in the browser.'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pendingBrowserCalls.set(callId, { resolve, reject });
+            signal.addEventListener('abort', () => {
+                if (this.pendingBrowserCalls.delete(callId)) {
+                    this.sendToClient({ type: 'browser_tool_cancel', id: callId });
+                    reject(new Error('Browser action cancelled.'));
+                }
+            }, { once: true });
+            this.sendToClient({ type: 'browser_tool_call', id: callId, name, args });
+        });
+    }
+
+    _handleBrowserToolResult(message) {
+        const pending = this.pendingBrowserCalls.get(message.id);
+        if (!pending) {
+            console.warn(`[GeminiSession ${this.sessionId}] Browser tool result for unknown or finished call ${message.id}.`);
+            return;
+        }
+        this.pendingBrowserCalls.delete(message.id);
+        if (message.error) {
+            pending.reject(new Error(message.error));
+        } else {
+            pending.resolve(message.result || {});
+        }
+    }
+
+    _sendToolResponse(functionResponse) {
+        if (!this.geminiWs || this.geminiWs.readyState !== WebSocket.OPEN) {
+            console.warn(`[GeminiSession ${this.sessionId}] Gemini WebSocket not open. Cannot send tool response for call ${functionResponse.id}.`);
+            return;
+        }
         try {
-            console.log(`[GeminiSession ${this.sessionId}] Sending initial context to Gemini:`, JSON.stringify(initialMessage));
-            this.geminiWs.send(JSON.stringify(initialMessage));
+            this.geminiWs.send(JSON.stringify({
+                toolResponse: { functionResponses: [functionResponse] }
+            }));
         } catch (error) {
-             console.error(`[GeminiSession ${this.sessionId}] Failed to send initial context to Gemini:`, error);
-             this._sendErrorToClient('Failed to initialize AI session.');
+            console.error(`[GeminiSession ${this.sessionId}] Failed to send tool response:`, error);
         }
     }
 
     // Method to handle messages received FROM the client (via index.js)
     handleClientMessage(message) {
-        if (!this.isConnectedToGemini) {
-            console.warn(`[GeminiSession ${this.sessionId}] Received client message but not connected to Gemini. Ignoring.`);
+        if (this.isClosed) {
+            console.warn(`[GeminiSession ${this.sessionId}] Received client message after session closed. Ignoring.`);
+            return;
+        }
+        if (!this.isSetupComplete) {
+            // Screen frames are large and stale by the time setup completes: drop them rather
+            // than let them push queued speech out. The next frame after setup is sent as usual.
+            if (message?.type !== 'video_frame') {
+                this._queueClientMessage(message); // Held until Gemini confirms setup
+            }
             return;
         }
 
         // Message can be a JSON object (for commands) or a Base64 string (for audio)
         if (typeof message === 'object' && message !== null && message.type) {
             // Handle JSON commands
-            console.log(`[GeminiSession ${this.sessionId}] Received parsed JSON OBJECT from client:`, message);
+            if (message.type !== 'video_frame') {
+                console.log(`[GeminiSession ${this.sessionId}] Received parsed JSON OBJECT from client:`, message);
+            }
             if (message.type === 'context') {
-                console.log(`[GeminiSession ${this.sessionId}] Handling 'context' update: ${message.context}. (Note: This is for context only, not sent to Gemini Live)`);
-                this.currentContext = message.context;
+                this._handleScreenContextUpdate(message.context, message.params);
+            } else if (message.type === 'page_context') {
+                this._handlePageContextUpdate(message.context);
+            } else if (message.type === 'video_frame') {
+                this._handleVideoFrame(message);
+            } else if (message.type === 'browser_tool_result') {
+                this._handleBrowserToolResult(message);
+            } else if (message.type === 'user_text') {
+                this._handleUserText(message.text);
+            } else if (message.type === 'activity') {
+                this._handleActivity(message.event);
+            } else if (message.type === 'capture_mode') {
+                this._handleCaptureModeChange(message.mode);
             } else {
                 console.warn(`[GeminiSession ${this.sessionId}] Received unknown JSON message type from client: ${message.type}`);
             }
@@ -202,6 +453,432 @@ export class GeminiSession {
         }
     }
 
+    /**
+     * Injects a screen change into the live conversation as clientContent, carrying
+     * the knowledge for the new screen. turnComplete is false so the model takes the
+     * update as context and does not start answering on its own.
+     * @param {string} screen The new screen identifier reported by the extension.
+     * @param {Object<string, string>} [params] Route parameters of the screen (see screenRoutes.js).
+     */
+    _handleScreenContextUpdate(screen, params = {}) {
+        if (typeof screen !== 'string' || !screen) {
+            console.warn(`[GeminiSession ${this.sessionId}] Ignoring invalid context update:`, screen);
+            return;
+        }
+        const paramsText = describeScreenParams(params);
+        const knowledgeChanged = this._takeKnowledgeUpdate();
+        if (!knowledgeChanged && screen === this.currentContext && paramsText === describeScreenParams(this.screenParams)) {
+            console.log(`[GeminiSession ${this.sessionId}] Context unchanged ('${screen}'). Nothing to send.`);
+            return;
+        }
+        this.currentContext = screen;
+        this.screenParams = params && typeof params === 'object' ? params : {};
+        this.history.record('screen', { screen, params: this.screenParams });
+        this.screensVisited.push(screen);
+        this.pageContext = null; // Belonged to the previous screen; the extension sends fresh details
+        this.sentKnowledgeSources.clear();
+
+        const passages = retrieveKnowledge({ screen, question: this.latestUserQuestion });
+        passages.forEach(passage => this.sentKnowledgeSources.add(passage.sourceId));
+        const knowledge = passages.length > 0 ? formatPassages(passages) : getKnowledgeForScreen(screen);
+        const contextMessage = {
+            clientContent: {
+                turns: [{
+                    role: 'user',
+                    parts: [{
+                        text: `[Screen update] I am now on the fitbox screen '${screen}'` +
+                              (paramsText ? ` (${paramsText}). ` : '. ') +
+                              `Use this knowledge for my next questions:\n${knowledge}`
+                    }]
+                }],
+                turnComplete: false
+            }
+        };
+
+        try {
+            console.log(`[GeminiSession ${this.sessionId}] Sending screen context update '${screen}' to Gemini.`);
+            this.geminiWs.send(JSON.stringify(contextMessage));
+        } catch (error) {
+            console.error(`[GeminiSession ${this.sessionId}] Failed to send screen context update:`, error);
+        }
+    }
+
+    /**
+     * Forwards the page details extracted by the extension's content script (headings,
+     * form labels, active tabs, validation errors, selected record) into the live
+     * conversation, so the model can refer to what is actually on screen.
+     * @param {object} pageContext The object built by parseDOMForContext in the extension.
+     */
+    _handlePageContextUpdate(pageContext) {
+        if (typeof pageContext !== 'object' || pageContext === null) {
+            console.warn(`[GeminiSession ${this.sessionId}] Ignoring invalid page context:`, pageContext);
+            return;
+        }
+        const summary = describePageContext(pageContext);
+        const knowledgeChanged = this._takeKnowledgeUpdate();
+        if (!knowledgeChanged && this.pageContext && describePageContext(this.pageContext) === summary) {
+            return; // Nothing the model would notice changed
+        }
+        this.pageContext = pageContext;
+
+        // The page hints often find help the screen ID alone did not; only send new passages
+        const newPassages = retrieveKnowledge({
+            screen: this.currentContext,
+            hints: pageContext.extractedHints || [],
+            question: this.latestUserQuestion
+        }).filter(passage => !this.sentKnowledgeSources.has(passage.sourceId));
+        newPassages.forEach(passage => this.sentKnowledgeSources.add(passage.sourceId));
+
+        let text = `[Page details] This is what my fitbox screen shows right now:\n${summary}`;
+        if (newPassages.length > 0) {
+            text += `\n\nMore fitbox knowledge that may help here:\n${formatPassages(newPassages)}`;
+        }
+        const contextMessage = {
+            clientContent: {
+                turns: [{
+                    role: 'user',
+                    parts: [{ text }]
+                }],
+                turnComplete: false
+            }
+        };
+        try {
+            console.log(`[GeminiSession ${this.sessionId}] Sending page context update to Gemini.`);
+            this.geminiWs.send(JSON.stringify(contextMessage));
+        } catch (error) {
+            console.error(`[GeminiSession ${this.sessionId}] Failed to send page context update:`, error);
+        }
+    }
+
+    // Returns true (once) if the knowledge was edited since the model last received it
+    _takeKnowledgeUpdate() {
+        const version = getKnowledgeVersion();
+        if (version === this.knowledgeVersion) {
+            return false;
+        }
+        console.log(`[GeminiSession ${this.sessionId}] Knowledge changed since it was last sent. Refreshing.`);
+        this.knowledgeVersion = version;
+        this.sentKnowledgeSources.clear(); // Passages may have new text under the same source ID
+        return true;
+    }
+
+    _usesManualActivity() {
+        return this.captureMode !== 'always_on';
+    }
+
+    /**
+     * Forwards a speech boundary from the extension (push-to-talk press/release or a
+     * local VAD decision) as realtimeInput activityStart/activityEnd. Ignored while
+     * Gemini detects activity itself, which rejects these messages.
+     * @param {'start'|'end'} event
+     */
+    _handleActivity(event) {
+        if (event !== 'start' && event !== 'end') {
+            console.warn(`[GeminiSession ${this.sessionId}] Ignoring unknown activity event:`, event);
+            return;
+        }
+        if (!this._usesManualActivity()) {
+            return;
+        }
+        if (!this.geminiWs || this.geminiWs.readyState !== WebSocket.OPEN) {
+            console.warn(`[GeminiSession ${this.sessionId}] Gemini WebSocket not open. Cannot send activity ${event}.`);
+            return;
+        }
+        try {
+            const realtimeInput = event === 'start' ? { activityStart: {} } : { activityEnd: {} };
+            this.geminiWs.send(JSON.stringify({ realtimeInput }));
+        } catch (error) {
+            console.error(`[GeminiSession ${this.sessionId}] Failed to send activity ${event}:`, error);
+        }
+    }
+
+    /**
+     * Applies a capture mode chosen in the popup during the session. Switching between
+     * automatic and manual activity detection needs a new setup, so the Gemini
+     * connection is restarted; the extension's connection stays open.
+     * @param {string} mode One of CAPTURE_MODES.
+     */
+    _handleCaptureModeChange(mode) {
+        if (!CAPTURE_MODES.includes(mode) || mode === this.captureMode) {
+            return;
+        }
+        const wasManual = this._usesManualActivity();
+        console.log(`[GeminiSession ${this.sessionId}] Capture mode changed: ${this.captureMode} -> ${mode}`);
+        this.captureMode = mode;
+        if (wasManual !== this._usesManualActivity()) {
+            this._restartGeminiConnection('capture_mode_changed');
+        }
+    }
+
+    /**
+     * Replaces the Gemini connection with a fresh one (new setup for the current screen)
+     * while the extension stays connected. Client input is queued until the new setup
+     * completes, as at startup.
+     * @param {string} reason Logged and sent to the Gemini socket as the close reason.
+     */
+    _restartGeminiConnection(reason) {
+        console.log(`[GeminiSession ${this.sessionId}] Restarting Gemini connection (${reason}).`);
+        this._detachGeminiConnection(reason);
+        this.connectionUsesHandle = !!this.resumptionHandle;
+        this._refreshSystemInstruction();
+        this._connectToGemini();
+    }
+
+    // Closes the current Gemini socket without ending the session and drops its in-flight work
+    _detachGeminiConnection(reason) {
+        const oldWs = this.geminiWs;
+        this.geminiWs = null;
+        this.isConnectedToGemini = false;
+        this.isSetupComplete = false;
+        if (oldWs) {
+            oldWs.removeAllListeners(); // Its close must not end the session
+            oldWs.on('error', () => { /* Closing anyway */ });
+            oldWs.close(1000, reason);
+        }
+        this.pendingToolCalls.forEach(pending => pending.controller.abort());
+        this.pendingToolCalls.clear();
+        this._finishTranscript('user');
+        this._finishTranscript('assistant', { interrupted: true });
+    }
+
+    // Rebuilds the systemInstruction for the current screen. A connection that starts a new
+    // conversation also gets a summary of the old one, so the helper doesn't lose the thread.
+    _refreshSystemInstruction() {
+        const systemInstruction = buildSystemInstruction(this.currentContext, {
+            hints: this.pageContext?.extractedHints || [],
+            question: this.latestUserQuestion
+        });
+        const summary = this.connectionUsesHandle ? '' : summarizeConversation(this.transcript, this.screensVisited);
+        this.initialContext = summary ? `${systemInstruction}\n\n${summary}` : systemInstruction;
+        this.sentKnowledgeSources.clear();
+        this.knowledgeVersion = getKnowledgeVersion();
+    }
+
+    /**
+     * Compares the conversation's audio time and token count with the configured limits
+     * (both optional: the sliding-window compression already lifts Gemini's own limit).
+     * Warns the user once when a limit is near, and once it is reached rolls over to a
+     * fresh conversation, waiting for a turn in progress (or a running tool) to finish.
+     */
+    _checkConversationLimits() {
+        if (!this.isSetupComplete || this.isClosed) {
+            return;
+        }
+        const { sessionMaxAudioMs, sessionMaxTokens, sessionWarnBeforeMs } = this.config;
+        const audioLeftMs = sessionMaxAudioMs ? sessionMaxAudioMs - this.conversationAudioMs : Infinity;
+        const tokensUsed = sessionMaxTokens ? this.conversationTokens / sessionMaxTokens : 0;
+
+        if (audioLeftMs <= 0 || tokensUsed >= 1) {
+            const isMidTurn = this.openTranscripts.user || this.openTranscripts.assistant || this.pendingToolCalls.size > 0;
+            if (isMidTurn) {
+                this.isRolloverPending = true; // Checked again when the turn completes
+                return;
+            }
+            this._rollOverConversation(audioLeftMs <= 0 ? 'audio_limit' : 'token_limit');
+        } else if (!this.hasWarnedAboutLimits && (audioLeftMs <= sessionWarnBeforeMs || tokensUsed >= 0.9)) {
+            this.hasWarnedAboutLimits = true;
+            console.log(`[GeminiSession ${this.sessionId}] Conversation nearing its limits (${Math.round(this.conversationAudioMs / 1000)}s audio, ${this.conversationTokens} tokens).`);
+            this.sendToClient({
+                type: 'status',
+                code: 'session_limit_warning',
+                message: 'This conversation is getting long. The helper will soon continue in a fresh session and keep a summary of what you discussed.'
+            });
+        }
+    }
+
+    // Starts a fresh Gemini conversation seeded with a summary of this one
+    _rollOverConversation(reason) {
+        console.log(`[GeminiSession ${this.sessionId}] Rolling over to a fresh conversation (${reason}) after ${Math.round(this.conversationAudioMs / 1000)}s of audio and ${this.conversationTokens} tokens.`);
+        this.isRolloverPending = false;
+        this.resumptionHandle = null; // Resuming would carry the full context over
+        this.sendToClient({
+            type: 'status',
+            code: 'session_renewed',
+            message: 'Continuing in a fresh session. The helper has a summary of your conversation so far.'
+        });
+        this._restartGeminiConnection(`rollover_${reason}`);
+    }
+
+    // Keeps the newest handle; Gemini only issues resumable ones at points where resuming is safe
+    _handleSessionResumptionUpdate(update) {
+        if (update.resumable && update.newHandle) {
+            this.resumptionHandle = update.newHandle;
+        }
+    }
+
+    /**
+     * Decides what happens when the Gemini socket closes on its own. A session that never
+     * got through setup cannot be fixed by retrying and ends as before; otherwise the
+     * session reconnects while the extension stays connected.
+     * @param {number} code WebSocket close code.
+     * @param {{wasOpen: boolean, wasSetUp: boolean}} state How far the closed connection got.
+     */
+    _handleGeminiClose(code, { wasOpen, wasSetUp }) {
+        if (this.isClosed) {
+            return;
+        }
+        if (!this.clientWs || this.clientWs.readyState !== WebSocket.OPEN) {
+            this.close(`gemini_closed_${code}`);
+            return;
+        }
+        if (!this.hasCompletedSetup) {
+            this._sendErrorToClient(`AI service connection closed unexpectedly. Code: ${code}`);
+            this.close(`gemini_closed_${code}`);
+            return;
+        }
+        if (wasOpen && !wasSetUp && this.connectionUsesHandle) {
+            // Gemini refused the setup, so the handle may have expired; start a new conversation instead
+            console.warn(`[GeminiSession ${this.sessionId}] Resuming with the stored handle failed. Dropping it.`);
+            this.resumptionHandle = null;
+        }
+        const delayMs = this.config.reconnectBaseDelayMs * 2 ** this.reconnectAttempts;
+        this._reconnectToGemini(`gemini_closed_${code}`, this.reconnectAttempts === 0 ? 0 : delayMs);
+    }
+
+    /**
+     * Replaces the Gemini connection, resuming the conversation when a handle is available.
+     * Reports each attempt to the extension as a `status` message and ends the session
+     * once the attempts configured in GEMINI_RECONNECT_MAX_ATTEMPTS are used up.
+     * @param {string} reason Why the connection is being replaced.
+     * @param {number} delayMs Wait before connecting (backoff after failed attempts).
+     */
+    _reconnectToGemini(reason, delayMs) {
+        if (this.isClosed) {
+            return;
+        }
+        clearTimeout(this.reconnectTimer);
+        this._detachGeminiConnection(reason);
+
+        const maxAttempts = this.config.reconnectMaxAttempts;
+        if (this.reconnectAttempts >= maxAttempts) {
+            console.error(`[GeminiSession ${this.sessionId}] Giving up on Gemini after ${maxAttempts} reconnect attempt(s).`);
+            this.sendToClient({ type: 'status', code: 'gemini_reconnect_failed', message: 'Could not reconnect to the AI service.' });
+            this._sendErrorToClient('The connection to the AI service was lost and could not be restored.');
+            this.close('gemini_reconnect_failed');
+            return;
+        }
+        this.reconnectAttempts++;
+        this.isReconnecting = true;
+        console.log(`[GeminiSession ${this.sessionId}] Reconnecting to Gemini (${reason}), attempt ${this.reconnectAttempts} of ${maxAttempts} in ${delayMs}ms.`);
+        this.sendToClient({
+            type: 'status',
+            code: 'gemini_reconnecting',
+            attempt: this.reconnectAttempts,
+            message: `Reconnecting to the AI service (attempt ${this.reconnectAttempts} of ${maxAttempts})...`
+        });
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.isClosed) return;
+            this.connectionUsesHandle = !!this.resumptionHandle;
+            if (!this.connectionUsesHandle) {
+                this._refreshSystemInstruction();
+            }
+            this._connectToGemini();
+        }, delayMs);
+    }
+
+    /**
+     * Sends a typed message from the popup's text chat as a complete user turn, so the
+     * model answers it just like a spoken question. It also becomes a transcript entry.
+     * @param {string} text The message the user typed.
+     */
+    _handleUserText(text) {
+        if (typeof text !== 'string' || !text.trim()) {
+            console.warn(`[GeminiSession ${this.sessionId}] Ignoring empty user_text message.`);
+            return;
+        }
+        if (text.length > MAX_USER_TEXT_LENGTH) {
+            this.sendToClient({ type: 'status', code: 'user_text_too_long', message: `Messages are limited to ${MAX_USER_TEXT_LENGTH} characters.` });
+            return;
+        }
+        if (!this.geminiWs || this.geminiWs.readyState !== WebSocket.OPEN) {
+            console.warn(`[GeminiSession ${this.sessionId}] Gemini WebSocket not open. Cannot send user text.`);
+            this._sendErrorToClient('The AI service is not connected. Your message was not sent.', { fatal: false });
+            return;
+        }
+
+        this._finishTranscript('user'); // Anything said before the typed message
+        this._appendTranscript('user', text.trim());
+        this._finishTranscript('user', { typed: true });
+
+        try {
+            this.geminiWs.send(JSON.stringify({
+                clientContent: {
+                    turns: [{ role: 'user', parts: [{ text: text.trim() }] }],
+                    turnComplete: true
+                }
+            }));
+        } catch (error) {
+            console.error(`[GeminiSession ${this.sessionId}] Failed to send user text:`, error);
+        }
+    }
+
+    /**
+     * Turns the input/output transcription chunks in a serverContent message into
+     * `transcript` events for the extension. Text replies (TEXT modality) are added to
+     * the assistant's entry the same way. Each event carries the whole text of the
+     * entry so far; the user's entry is final once the model answers, the assistant's
+     * once its turn completes or is interrupted.
+     * @param {object} serverContent The serverContent message from Gemini.
+     */
+    _handleTranscription(serverContent) {
+        const inputText = serverContent.inputTranscription?.text;
+        const outputText = (serverContent.outputTranscription?.text || '') +
+            (serverContent.modelTurn?.parts || [])
+                .filter(part => typeof part.text === 'string' && !part.thought)
+                .map(part => part.text)
+                .join('');
+        if (inputText) {
+            this._appendTranscript('user', inputText);
+        }
+        if (outputText || serverContent.modelTurn) {
+            this._finishTranscript('user');
+        }
+        if (outputText) {
+            this._appendTranscript('assistant', outputText);
+        }
+        if (serverContent.turnComplete || serverContent.interrupted) {
+            this._finishTranscript('user');
+            this._finishTranscript('assistant', { interrupted: !!serverContent.interrupted });
+        }
+    }
+
+    _appendTranscript(speaker, text) {
+        let entry = this.openTranscripts[speaker];
+        if (!entry) {
+            entry = {
+                id: uuidv4().substring(0, 8),
+                speaker,
+                text: '',
+                startedAt: new Date().toISOString(),
+                endedAt: null,
+                final: false
+            };
+            this.openTranscripts[speaker] = entry;
+        }
+        entry.text += text;
+        this.sendToClient({ type: 'transcript', ...entry });
+    }
+
+    _finishTranscript(speaker, extra = {}) {
+        const entry = this.openTranscripts[speaker];
+        if (!entry) {
+            return;
+        }
+        this.openTranscripts[speaker] = null;
+        Object.assign(entry, extra, { text: entry.text.trim(), endedAt: new Date().toISOString(), final: true });
+        this.transcript.push(entry);
+        const { id, ...historyEntry } = entry;
+        this.history.record('transcript', historyEntry);
+        this.sendToClient({ type: 'transcript', ...entry });
+
+        if (speaker === 'user' && entry.text) {
+            this.latestUserQuestion = entry.text; // Ranks knowledge for the next screen/page update
+            console.log(`[GeminiSession ${this.sessionId}] Latest user question: "${this.latestUserQuestion}"`);
+        }
+    }
+
     // Receive message FROM Gemini and proxy TO the client (Chrome extension)
     _proxyMessageToClient(data) {
         // Ensure data is in the expected format before sending
@@ -234,7 +911,7 @@ export class GeminiSession {
          if (this.clientWs && this.clientWs.readyState === WebSocket.OPEN) {
              try {
                  const payload = JSON.stringify(messageObject);
-                 console.log(`[GeminiSession ${this.sessionId}] Sending message to client:`, payload);
+                 console.log(`[GeminiSession ${this.sessionId}] Sending message to client:`, truncateForLog(payload));
                  this.clientWs.send(payload);
              } catch (e) {
                  console.error(`[GeminiSession ${this.sessionId}] Failed to stringify or send message to client:`, e);
@@ -244,16 +921,71 @@ export class GeminiSession {
          }
     }
 
+    /**
+     * Holds a client message (JSON object or Base64 audio string) until setupComplete.
+     * When the queue exceeds the configured audio duration or byte size, the oldest
+     * audio is dropped first; context updates are kept so the conversation still
+     * starts on the right screen. Screen frames are never queued (see handleClientMessage).
+     * The client is told once per overflow episode.
+     * @param {object|string} message The client message to queue.
+     */
+    _queueClientMessage(message) {
+        const isAudio = typeof message === 'string';
+        const entry = {
+            message,
+            bytes: isAudio ? message.length : JSON.stringify(message).length,
+            audioMs: isAudio ? base64PcmDurationMs(message) : 0
+        };
+        this.pendingClientMessages.push(entry);
+        this.pendingBytes += entry.bytes;
+        this.pendingAudioMs += entry.audioMs;
+
+        let droppedCount = 0;
+        while (this.pendingAudioMs > this.config.queueMaxAudioMs || this.pendingBytes > this.config.queueMaxBytes) {
+            const audioIndex = this.pendingClientMessages.findIndex(queued => typeof queued.message === 'string');
+            const dropIndex = audioIndex !== -1 ? audioIndex : 0;
+            const [dropped] = this.pendingClientMessages.splice(dropIndex, 1);
+            this.pendingBytes -= dropped.bytes;
+            this.pendingAudioMs -= dropped.audioMs;
+            droppedCount++;
+        }
+
+        if (droppedCount > 0 && !this.hasReportedQueueOverflow) {
+            this.hasReportedQueueOverflow = true;
+            console.warn(`[GeminiSession ${this.sessionId}] Setup queue full (max ${this.config.queueMaxAudioMs}ms / ${this.config.queueMaxBytes} bytes). Dropped ${droppedCount} oldest message(s).`);
+            this.sendToClient({
+                type: 'status',
+                code: 'input_queue_overflow',
+                message: this.hasCompletedSetup
+                    ? 'The AI service is reconnecting; some of your audio was dropped. Please repeat your question if needed.'
+                    : 'The AI service is still starting up; some of your earliest audio was dropped. Please repeat your question if needed.'
+            });
+        }
+    }
+
+    // Sends everything queued before setupComplete, in the order it arrived
     _sendQueuedClientMessages() {
-        // Implement logic to send messages queued before setup complete
-        // For now, just a placeholder
-        console.log(`[GeminiSession ${this.sessionId}] Checking for queued client messages (implementation pending).`);
+        const queued = this.pendingClientMessages;
+        this.pendingClientMessages = [];
+        this.pendingBytes = 0;
+        this.pendingAudioMs = 0;
+        this.hasReportedQueueOverflow = false;
+
+        console.log(`[GeminiSession ${this.sessionId}] Flushing ${queued.length} queued client message(s).`);
+        queued.forEach(entry => this.handleClientMessage(entry.message));
     }
 
-    _sendErrorToClient(errorMessage) {
+    /**
+     * Reports an error to the extension. Fatal errors end the helper connection; the others
+     * are shown to the user while the session goes on (e.g. during a reconnect).
+     * @param {string} errorMessage
+     * @param {{fatal?: boolean}} [options]
+     */
+    _sendErrorToClient(errorMessage, { fatal = true } = {}) {
+        this.history.record('error', { message: errorMessage });
         if (this.clientWs && this.clientWs.readyState === WebSocket.OPEN) {
             try {
-                 const errorPayload = JSON.stringify({ type: 'error', message: errorMessage });
+                 const errorPayload = JSON.stringify({ type: 'error', fatal, message: errorMessage });
                  console.log(`[GeminiSession ${this.sessionId}] Sent error to client: ${errorMessage}`);
                  this.clientWs.send(errorPayload);
             } catch (e) {
@@ -264,12 +996,41 @@ export class GeminiSession {
         }
     }
 
+    /**
+     * Forwards a JPEG frame of the user's fitbox tab (opt-in screen sharing) to Gemini
+     * as a realtimeInput video chunk.
+     * @param {{mimeType: string, data: string}} frame Base64 encoded image from the extension.
+     */
+    _handleVideoFrame(frame) {
+        if (frame.mimeType !== 'image/jpeg' || typeof frame.data !== 'string' || !frame.data) {
+            console.warn(`[GeminiSession ${this.sessionId}] Ignoring invalid video frame (mimeType: ${frame.mimeType}).`);
+            return;
+        }
+        if (!this.geminiWs || this.geminiWs.readyState !== WebSocket.OPEN) {
+            console.warn(`[GeminiSession ${this.sessionId}] Gemini WebSocket not open. Cannot send video frame.`);
+            return;
+        }
+        try {
+            this.geminiWs.send(JSON.stringify({
+                realtimeInput: {
+                    media_chunks: [{ mimeType: 'image/jpeg', data: frame.data }]
+                }
+            }));
+        } catch (error) {
+            console.error(`[GeminiSession ${this.sessionId}] Error sending video frame:`, error);
+        }
+    }
+
     /**
      * Handles incoming Base64-encoded audio data from the client.
      * Sends it to the Gemini API using the correct 'realtimeInput' payload structure.
      * @param {string} base64Audio The Base64 encoded PCM audio data.
      */
     handleAudioInput(base64Audio) {
+        if (!this.isSetupComplete && !this.isClosed) {
+            this._queueClientMessage(base64Audio); // Held until Gemini confirms setup
+            return;
+        }
         if (!this.geminiWs || this.geminiWs.readyState !== WebSocket.OPEN) {
             console.warn(`[GeminiSession ${this.sessionId}] Gemini WebSocket not open. Cannot send audio.`);
             return;
@@ -280,26 +1041,60 @@ export class GeminiSession {
             const audioMessage = {
                 // Use realtimeInput structure based on documentation
                 "realtimeInput": {
-                    "media_chunks": [ base64Audio ]
+                    "media_chunks": [ { "mimeType": "audio/pcm;rate=16000", "data": base64Audio } ]
                 }
             };
 
             // console.log(`[GeminiSession ${this.sessionId}] Sending audio chunk (${base64Audio.length} chars) to Gemini.`);
             this.geminiWs.send(JSON.stringify(audioMessage));
+            this.conversationAudioMs += base64PcmDurationMs(base64Audio);
+            this._checkConversationLimits();
         } catch (error) {
             console.error(`[GeminiSession ${this.sessionId}] Error processing/sending audio chunk:`, error);
         }
     }
 
-    // Close connections gracefully
-    close() {
-        console.log(`[GeminiSession ${this.sessionId}] Closing session.`);
+    /**
+     * Closes connections gracefully and records the end of the session.
+     * @param {string} [reason='closed'] Why the session ended (stored in the session history).
+     */
+    close(reason = 'closed') {
+        console.log(`[GeminiSession ${this.sessionId}] Closing session (${reason}).`);
+        this.history.end(reason);
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
         if (this.geminiWs) {
             console.log(`[GeminiSession ${this.sessionId}] Closing Gemini WebSocket connection.`);
             this.geminiWs.close(1000, 'Session terminated by server'); // Use code 1000 for normal closure
             this.geminiWs = null;
         }
         this.isConnectedToGemini = false;
+        this.isSetupComplete = false;
+        this.isClosed = true;
+        this.pendingClientMessages = [];
+        this.pendingToolCalls.forEach(pending => pending.controller.abort());
+        this.pendingToolCalls.clear();
+        this.pendingBrowserCalls.clear();
+        if (this.onClose) {
+            this.onClose();
+            this.onClose = null;
+        }
         // The client WS closure is typically handled by index.js when the session is removed
     }
 }
+
+// Whether a Gemini message carries audio for playback (inline base64 in the model turn)
+function hasInlineAudio(message) {
+    return (message.serverContent?.modelTurn?.parts || []).some(part => part.inlineData);
+}
+
+function truncateForLog(text) {
+    return text.length > LOG_PAYLOAD_MAX_CHARS ? `${text.substring(0, LOG_PAYLOAD_MAX_CHARS)}... (${text.length} chars)` : text;
+}
+
+// Playback duration of Base64 encoded 16-bit 16kHz mono PCM (32 bytes per millisecond)
+function base64PcmDurationMs(base64) {
+    const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+    const bytes = (base64.length * 3) / 4 - padding;
+    return bytes / 32;
+}
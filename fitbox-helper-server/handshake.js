@@ -0,0 +1,62 @@
+// handshake.js - Validates the versioned connection handshake sent by the extension
+import url from 'url';
+
+// Bump when the message protocol between extension and server changes incompatibly
+export const PROTOCOL_VERSION = 1;
+export const MIN_SUPPORTED_PROTOCOL_VERSION = 1;
+
+// Capabilities every client must declare to be served by this server
+const REQUIRED_CAPABILITIES = ['audio_playback'];
+
+// WebSocket close code used when a client is rejected during the handshake (4000-4999 are app-defined)
+export const HANDSHAKE_REJECTED_CLOSE_CODE = 4000;
+
+/**
+ * Parses and validates handshake query parameters from the WebSocket upgrade URL:
+ * `?v=<protocol>&screen=<id>&ext=<extension version>&locale=<bcp47>&caps=<a,b,c>`.
+ * @param {string} requestUrl The upgrade request URL (req.url).
+ * @returns {{ok: true, clientInfo: object} | {ok: false, code: string, message: string}}
+ */
+export function parseHandshake(requestUrl) {
+    const query = url.parse(requestUrl || '', true).query;
+
+    if (!query.v) {
+        return {
+            ok: false,
+            code: 'missing_protocol_version',
+            message: `Client did not send a protocol version. Please update the fitbox Helper extension (server protocol v${PROTOCOL_VERSION}).`
+        };
+    }
+
+    const protocolVersion = parseInt(query.v, 10);
+    if (Number.isNaN(protocolVersion) || protocolVersion < MIN_SUPPORTED_PROTOCOL_VERSION || protocolVersion > PROTOCOL_VERSION) {
+        return {
+            ok: false,
+            code: 'unsupported_protocol_version',
+            message: `Protocol v${query.v} is not supported. This server speaks v${MIN_SUPPORTED_PROTOCOL_VERSION}-v${PROTOCOL_VERSION}; please update the extension or server.`
+        };
+    }
+
+    const capabilities = typeof query.caps === 'string'
+        ? query.caps.split(',').map(cap => cap.trim()).filter(Boolean)
+        : [];
+    const missing = REQUIRED_CAPABILITIES.filter(cap => !capabilities.includes(cap));
+    if (missing.length > 0) {
+        return {
+            ok: false,
+            code: 'missing_capabilities',
+            message: `Client is missing required capabilities: ${missing.join(', ')}. Please update the fitbox Helper extension.`
+        };
+    }
+
+    return {
+        ok: true,
+        clientInfo: {
+            protocolVersion,
+            screen: query.screen || 'initial',
+            extensionVersion: query.ext || 'unknown',
+            locale: query.locale || null,
+            capabilities
+        }
+    };
+}
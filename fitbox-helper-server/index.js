@@ -11,145 +11,254 @@ console.log('  - GEMINI_API_HOST Loaded:', !!process.env.GEMINI_API_HOST);
 
 import { WebSocketServer } from 'ws';
 import http from 'http';
-import url from 'url';
 import { GeminiSession } from './gemini-session.js';
-import { getKnowledgeForScreen } from './knowledge.js';
+import { getGeminiConfig } from './config.js';
+import { buildSystemInstruction, initKnowledge } from './knowledge.js';
 import { v4 as uuidv4 } from 'uuid';
-import ffmpeg from 'fluent-ffmpeg';
-import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
-import stream from 'stream';
-import fs from 'fs'; // For potential temp file cleanup if streams fail
+import { StreamingTranscoder } from './audio-transcoder.js';
+import { parseHandshake, HANDSHAKE_REJECTED_CLOSE_CODE } from './handshake.js';
+import { handleAdminApiRequest, setSessionStatsProvider } from './admin-api.js';
+import { handleAdminConsoleRequest } from './admin-console.js';
+import { handleAuthRequest } from './auth-api.js';
+import { authenticateClientToken, isClientAuthRequired, onClientRevoked } from './client-auth.js';
+import { initUsageQuotas, getUsageUser, acquireSessionSlot, meterMessage, meterAudio } from './usage-quotas.js';
+import { initSessionHistory } from './session-history.js';
 
 // Configure dotenv
 dotenv.config();
 
-// --- Set Ffmpeg Path ---
-ffmpeg.setFfmpegPath(ffmpegInstaller.path);
-// --- End Ffmpeg Path ---
-
 const PORT = process.env.PORT || 3001;
 
+// Binary audio formats a client may announce: raw PCM is passed through, WebM is transcoded
+const SUPPORTED_AUDIO_FORMATS = ['pcm16', 'webm'];
+
+// JSON messages carrying media payloads; too large and frequent to log in full
+const BULKY_MESSAGE_TYPES = ['video_frame'];
+
+// Close code for connections whose token was revoked (4000-4999 are app-defined)
+const TOKEN_REVOKED_CLOSE_CODE = 4001;
+
+// 16-bit 16kHz mono PCM, the format relayed to Gemini, for metering audio duration
+const PCM_BYTES_PER_MS = 32;
+
 // Create a simple HTTP server. The WebSocket server will attach to it.
-const server = http.createServer((req, res) => {
+const server = http.createServer(async (req, res) => {
+    const requestUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
     // Basic health check endpoint
-    if (req.url === '/health' && req.method === 'GET') {
+    if (requestUrl.pathname === '/health' && req.method === 'GET') {
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ status: 'ok' }));
+    } else if (await handleAuthRequest(req, res, requestUrl)) {
+        // Extension sign-in routes (see auth-api.js)
+    } else if (await handleAdminApiRequest(req, res, requestUrl)) {
+        // Knowledge management routes (see admin-api.js)
+    } else if (await handleAdminConsoleRequest(req, res, requestUrl)) {
+        // Static admin console at /admin/ (see admin-console.js)
     } else {
         res.writeHead(404, { 'Content-Type': 'text/plain' });
         res.end('Not Found');
     }
 });
 
-// Create WebSocket server and attach it to the HTTP server
-const wss = new WebSocketServer({ server });
+// Create the WebSocket server; upgrades reach it only after authentication below
+const wss = new WebSocketServer({ noServer: true });
 
 console.log(`WebSocket server starting on port ${PORT}...`);
 
-// --- Transcoding Function ---
-/**
- * Transcodes audio data (expected as a buffer, likely from WebM/Opus)
- * to raw PCM format (16-bit, 16kHz, mono) and returns it as a Base64 string.
- * @param {Buffer} inputBuffer The input audio data buffer.
- * @returns {Promise<string>} A promise that resolves with the Base64 encoded PCM audio data.
- */
-function transcodeAudioToBase64Pcm(inputBuffer) {
-    return new Promise((resolve, reject) => {
-        console.log(`[Transcode] Starting transcoding for buffer of size: ${inputBuffer.length}`);
-        const outputStream = new stream.PassThrough();
-        const chunks = [];
-
-        outputStream.on('data', (chunk) => {
-            chunks.push(chunk);
-        });
-
-        outputStream.on('end', () => {
-            const outputBuffer = Buffer.concat(chunks);
-            console.log(`[Transcode] Transcoding finished. Output PCM buffer size: ${outputBuffer.length}`);
-            const base64Pcm = outputBuffer.toString('base64');
-            resolve(base64Pcm);
-        });
+// Checks the client's token (`token` query parameter; browsers can't set headers on a
+// WebSocket) before the upgrade, so unauthenticated clients never get a socket
+server.on('upgrade', async (req, socket, head) => {
+    let client = null;
+    try {
+        const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+        client = await authenticateClientToken(token);
+    } catch (error) {
+        console.error('[Server] Token check failed during upgrade:', error);
+    }
+    if (!client && isClientAuthRequired()) {
+        console.warn(`[Server] Rejected WebSocket upgrade from ${req.socket.remoteAddress}: missing or invalid token.`);
+        socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+        return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => {
+        ws.auth = client; // null only when CLIENT_AUTH_REQUIRED=false
+        wss.emit('connection', ws, req);
+    });
+});
 
-        outputStream.on('error', (err) => {
-            console.error('[Transcode] Output stream error:', err);
-            reject(new Error(`Transcoding output stream error: ${err.message}`));
-        });
+// Revoking a token in the admin API disconnects the browsers using it
+onClientRevoked((revoked) => {
+    wss.clients.forEach(ws => {
+        if (ws.auth?.id === revoked.id) {
+            ws.send(JSON.stringify({ type: 'error', code: 'token_revoked', message: 'Access for this browser was revoked by an administrator.' }));
+            ws.close(TOKEN_REVOKED_CLOSE_CODE, 'token_revoked');
+        }
+    });
+});
 
-        const command = ffmpeg(stream.Readable.from(inputBuffer)) // Input from buffer stream
-            .inputFormat('webm') // Specify input format (adjust if necessary, e.g., 'ogg')
-            .audioCodec('pcm_s16le') // Output codec: signed 16-bit little-endian PCM
-            .audioChannels(1)        // Output channels: mono
-            .audioFrequency(16000)   // Output sample rate: 16kHz
-            .format('s16le')         // Output container format for raw PCM
-            .on('start', (commandLine) => {
-                console.log('[Transcode] FFmpeg command started:', commandLine);
-            })
-            .on('error', (err, stdout, stderr) => {
-                console.error('[Transcode] FFmpeg Error:', err.message);
-                console.error('[Transcode] FFmpeg stderr:', stderr);
-                reject(new Error(`FFmpeg transcoding failed: ${err.message}`));
-            })
-            .pipe(outputStream, { end: true }); // Pipe output to our stream
+// Live counts for the admin console: connected clients, AI sessions and their screens
+setSessionStatsProvider(() => {
+    const sessionsByScreen = {};
+    let sessions = 0;
+    wss.clients.forEach(client => {
+        if (client.geminiSession && !client.geminiSession.isClosed) {
+            sessions++;
+            const screen = client.geminiSession.currentContext || 'unknown';
+            sessionsByScreen[screen] = (sessionsByScreen[screen] || 0) + 1;
+        }
     });
+    return { clients: wss.clients.size, sessions, sessionsByScreen };
+});
+
+// --- Quota Helpers ---
+// Tells the client which quota it hit (see usage-quotas.js for the fields)
+function sendQuotaExceeded(ws, verdict) {
+    const { ok, ...error } = verdict;
+    console.warn(`[Server] Client ${ws.clientId} ('${ws.usageUser}') exceeded the ${verdict.scope} ${verdict.quota} quota (limit ${verdict.limit}).`);
+    if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify({ type: 'error', ...error }));
+    }
+}
+
+// Ends the AI session once the daily audio quota is used up; the socket stays open
+// so the extension can show why
+function endSessionForQuota(ws, verdict) {
+    sendQuotaExceeded(ws, verdict);
+    const session = ws.geminiSession;
+    ws.geminiSession = null; // First, so the transcoder's flushed tail isn't metered (and refused) again
+    session?.close('quota_exceeded');
+    closeTranscoder(ws);
 }
-// --- End Transcoding Function ---
+
+// Meters microphone audio against the daily quota before it goes to Gemini
+function forwardAudio(ws, base64Pcm) {
+    if (!ws.geminiSession || ws.geminiSession.isClosed) return;
+    const verdict = meterAudio(ws.usageUser, Buffer.byteLength(base64Pcm, 'base64') / PCM_BYTES_PER_MS);
+    if (!verdict.ok) {
+        endSessionForQuota(ws, verdict);
+        return;
+    }
+    ws.geminiSession.handleAudioInput(base64Pcm);
+}
+// --- End Quota Helpers ---
+
+// --- Transcoding Helpers ---
+// Returns the client's streaming WebM transcoder, starting one on first use
+function getTranscoder(ws) {
+    if (!ws.transcoder) {
+        ws.transcoder = new StreamingTranscoder(
+            ws.clientId,
+            (base64Pcm) => forwardAudio(ws, base64Pcm),
+            (error) => {
+                ws.transcoder = null;
+                if (ws.readyState === ws.OPEN) {
+                    // The next WebM chunk starts a new transcoder, so the session goes on
+                    ws.send(JSON.stringify({ type: 'error', fatal: false, message: `Audio transcoding failed: ${error.message}` }));
+                }
+            }
+        );
+    }
+    return ws.transcoder;
+}
+
+// Stops the client's transcoder, if one is running
+function closeTranscoder(ws) {
+    if (ws.transcoder) {
+        ws.transcoder.close();
+        ws.transcoder = null;
+    }
+}
+// --- End Transcoding Helpers ---
 
 wss.on('connection', (ws, req) => {
     // Assign a unique ID to the client WebSocket for easier tracking
     ws.clientId = uuidv4().substring(0, 8); // Short ID for logging
 
-    // Extract screen context from connection URL query parameters
-    const queryParams = url.parse(req.url, true).query;
-    const screenContext = queryParams.screen || 'initial'; // Default screen context
-
-    console.log(`[Server] Client ${ws.clientId} connected. Request URL: ${req.url}, Screen Context: '${screenContext}'`);
+    // Validate the versioned handshake carried in the connection URL query parameters
+    const handshake = parseHandshake(req.url);
+    if (!handshake.ok) {
+        console.warn(`[Server] Client ${ws.clientId} rejected during handshake (${handshake.code}): ${handshake.message}`);
+        ws.send(JSON.stringify({ type: 'error', code: handshake.code, message: handshake.message }));
+        ws.close(HANDSHAKE_REJECTED_CLOSE_CODE, handshake.code);
+        return;
+    }
+    ws.clientInfo = handshake.clientInfo;
+    const screenContext = ws.clientInfo.screen;
 
-    // Get initial knowledge based on screen context
-    const initialKnowledge = getKnowledgeForScreen(screenContext);
-    const initialPrompt = `${initialKnowledge}\n\nYou are a helpful, concise voice assistant for the fitbox application. Respond naturally for voice output.`;
+    console.log(`[Server] Client ${ws.clientId} connected as ${ws.auth ? `'${ws.auth.user}'` : 'anonymous'}. Extension v${ws.clientInfo.extensionVersion}, protocol v${ws.clientInfo.protocolVersion}, locale ${ws.clientInfo.locale || 'unknown'}, capabilities [${ws.clientInfo.capabilities.join(', ')}], Screen Context: '${screenContext}'`);
 
     // Session is NOT created yet. Wait for 'start_ai_session' message.
     ws.geminiSession = null; // Initialize placeholder
+    ws.audioFormat = 'webm'; // Until the client announces otherwise via 'audio_format'
+    ws.transcoder = null; // Started lazily on the first WebM chunk
+    ws.usageUser = getUsageUser(ws.auth); // Who the quotas are counted for
+    ws.rateLimitedUntil = 0; // End of the rate-limit window already reported to the client
 
     // Handle messages received FROM the specific client (Chrome extension)
     ws.on('message', async (message, isBinary) => {
+        // Every message counts against the rate limits; over the limit it is dropped
+        const rateVerdict = meterMessage(ws.usageUser);
+        if (!rateVerdict.ok) {
+            if (Date.now() >= ws.rateLimitedUntil) {
+                ws.rateLimitedUntil = Date.now() + rateVerdict.retryAfterMs;
+                sendQuotaExceeded(ws, rateVerdict); // Once per window, not for every dropped frame
+            }
+            return;
+        }
+
         // Handle incoming messages (JSON control messages or binary audio)
         if (isBinary) {
-            // Binary data (audio) - Transcode before sending
-            console.log(`[WebSocket] Received BINARY message (audio chunk), Size: ${message.length} bytes. Transcoding...`);
-            if (ws.geminiSession) {
-                try {
-                    // Transcode the raw WebM/Opus buffer to Base64 PCM as required by Gemini
-                    const base64Pcm = await transcodeAudioToBase64Pcm(message);
-
-                    // Pass the transcoded Base64 string to the session handler
-                    // Note: The session handler will now need to expect a string
-                    ws.geminiSession.handleClientMessage(base64Pcm);
-                } catch (error) {
-                    console.error('[WebSocket] Audio transcoding failed:', error);
-                    // Optionally, you could send an error message back to the client here
-                }
-            } else {
+            if (!ws.geminiSession) {
                 console.warn('[WebSocket] Received audio chunk but the AI session is not active. Ignoring.');
+                return;
+            }
+            if (ws.audioFormat === 'pcm16') {
+                // Raw 16-bit 16kHz mono PCM from the AudioWorklet: already what Gemini expects
+                forwardAudio(ws, message.toString('base64'));
+                return;
             }
+            // Fallback: WebM/Opus from MediaRecorder - feed the client's long-lived ffmpeg process
+            getTranscoder(ws).write(message);
         } else {
             // Text data (should be JSON)
             const messageString = message.toString();
-            console.log('[WebSocket] Received TEXT message:', messageString);
             try {
                 const parsedMessage = JSON.parse(messageString);
-                console.log('[WebSocket] Parsed JSON message:', parsedMessage);
+                if (!BULKY_MESSAGE_TYPES.includes(parsedMessage.type)) {
+                    console.log('[WebSocket] Parsed JSON message:', parsedMessage);
+                }
 
                 if (parsedMessage.type === 'start_ai_session') {
                     console.log(`[WebSocket] Received 'start_ai_session' message for client ${ws.clientId}.`);
                     console.log(`[Server] Client ${ws.clientId} requested AI session start.`);
                     if (!ws.geminiSession) {
+                        const slot = acquireSessionSlot(ws.usageUser);
+                        if (!slot.ok) {
+                            sendQuotaExceeded(ws, slot);
+                            return;
+                        }
                         console.log(`[Server] Creating Gemini session for client ${ws.clientId}...`);
-                        ws.geminiSession = new GeminiSession(ws, initialPrompt);
+                        // Built now rather than on connect so knowledge edited in between is included
+                        const initialPrompt = buildSystemInstruction(screenContext);
+                        ws.geminiSession = new GeminiSession(ws, initialPrompt, screenContext, {
+                            captureMode: parsedMessage.captureMode,
+                            onClose: slot.release // Frees the concurrent session slot
+                        });
                         // The GeminiSession constructor now handles connecting and sending ai_ready
                     } else {
                         console.warn(`[Server] Client ${ws.clientId} sent start_ai_session but session already exists.`);
                     }
+                } else if (parsedMessage.type === 'audio_format') {
+                    if (SUPPORTED_AUDIO_FORMATS.includes(parsedMessage.format)) {
+                        ws.audioFormat = parsedMessage.format;
+                        // Sent whenever capture (re)starts: a new WebM stream needs a fresh ffmpeg,
+                        // started lazily on its first chunk, and raw PCM needs none
+                        closeTranscoder(ws);
+                        console.log(`[Server] Client ${ws.clientId} audio format set to '${ws.audioFormat}'.`);
+                    } else {
+                        console.warn(`[Server] Client ${ws.clientId} announced unsupported audio format '${parsedMessage.format}'. Keeping '${ws.audioFormat}'.`);
+                    }
                 } else if (ws.geminiSession) {
                     // Pass the parsed JSON object to the existing session
                     ws.geminiSession.handleClientMessage(parsedMessage); // <<< PASS PARSED OBJECT
@@ -158,6 +267,7 @@ wss.on('connection', (ws, req) => {
                 }
             } catch (e) {
                 console.error(`[WebSocket] Error parsing JSON message from client ${ws.clientId}:`, e);
+                console.error('[WebSocket] Raw TEXT message (first 200 chars):', messageString.substring(0, 200));
                 // Optionally close connection if protocol violation
             }
         }
@@ -168,9 +278,10 @@ wss.on('connection', (ws, req) => {
         const session = ws.geminiSession;
         const sessionId = session ? session.sessionId : 'unknown';
         console.log(`[Server] Client ${ws.clientId} disconnected. Session ID: ${sessionId}. Code: ${code}, Reason: ${reason?.toString()}`);
+        closeTranscoder(ws);
 
         if (session) {
-            session.close(); // Gracefully close the Gemini connection for this session
+            session.close('client_disconnected'); // Gracefully close the Gemini connection for this session
             ws.geminiSession = null; // Clear reference
             console.log(`[Server] Cleaned up session ${sessionId} for client ${ws.clientId}.`);
         } else {
@@ -183,10 +294,11 @@ wss.on('connection', (ws, req) => {
         const session = ws.geminiSession;
         const sessionId = session ? session.sessionId : 'unknown';
         console.error(`[Server] WebSocket error for client ${ws.clientId} (Session ${sessionId}):`, error);
+        closeTranscoder(ws);
 
         // Attempt cleanup if a session exists
         if (session) {
-            session.close();
+            session.close('client_error');
             ws.geminiSession = null; // Clear reference
             console.log(`[Server] Cleaned up session ${sessionId} for client ${ws.clientId} due to client error.`);
         }
@@ -199,6 +311,14 @@ wss.on('error', (error) => {
     console.error('[Server] WebSocket Server Error:', error);
 });
 
+// Check the Gemini settings now rather than on the first session
+getGeminiConfig();
+
+// Load and validate the knowledge sources, and today's usage, before accepting clients
+await initKnowledge();
+await initUsageQuotas();
+await initSessionHistory();
+
 // Start the HTTP server (which the WebSocket server is attached to)
 server.listen(PORT, () => {
     console.log(`[Server] HTTP and WebSocket server listening on http://localhost:${PORT}`);
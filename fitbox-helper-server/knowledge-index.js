@@ -0,0 +1,132 @@
+// knowledge-index.js - Local BM25 retrieval over knowledge passages (no network needed)
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SCREEN_MATCH_BOOST = 5; // Added to passages of entries written for the exact screen
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how',
+    'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'the', 'this', 'to', 'what', 'when',
+    'where', 'which', 'with', 'you', 'your'
+]);
+
+/**
+ * Splits text into lowercase search terms, dropping stop words, numbers and very short
+ * words, and stems what's left. Screen IDs like 'members_4821_edit' become ['member', 'edit'].
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    return (text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(term => term.length > 1 && !STOP_WORDS.has(term) && !/^\d+$/.test(term))
+        .map(stem);
+}
+
+// Very light stemming so 'members'/'member', 'classes'/'class' and 'booking'/'book' match.
+// Plurals lose 'es' only where it was added to the word (after s, x, z, ch, sh), else just 's'.
+function stem(term) {
+    if (term.length > 5 && term.endsWith('ing')) return term.slice(0, -3);
+    if (term.length > 4 && /(s|x|z|ch|sh)es$/.test(term)) return term.slice(0, -2);
+    if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) return term.slice(0, -1);
+    return term;
+}
+
+/**
+ * BM25 index over knowledge passages. Each entry is split into paragraphs; every
+ * passage keeps a source ID (`<entry id>#<n>`) so the prompt can cite it.
+ */
+export class KnowledgeIndex {
+    /**
+     * @param {import('./knowledge-loader.js').KnowledgeEntry[]} entries
+     */
+    constructor(entries) {
+        this.passages = [];
+        entries.forEach(entry => {
+            const paragraphs = entry.text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+            paragraphs.forEach((text, index) => {
+                // Title and screen IDs are indexed with every passage of the entry
+                const terms = tokenize(`${entry.title || ''} ${entry.screens.join(' ')} ${text}`);
+                this.passages.push({
+                    sourceId: paragraphs.length > 1 ? `${entry.id}#${index + 1}` : entry.id,
+                    entryId: entry.id,
+                    screens: entry.screens,
+                    title: entry.title,
+                    text,
+                    termCounts: countTerms(terms),
+                    length: terms.length
+                });
+            });
+        });
+
+        this.averageLength = this.passages.reduce((sum, p) => sum + p.length, 0) / (this.passages.length || 1);
+        this.documentFrequency = new Map();
+        this.passages.forEach(passage => {
+            passage.termCounts.forEach((count, term) => {
+                this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+            });
+        });
+    }
+
+    /**
+     * Ranks passages against the user's screen, page hints and latest question.
+     * @param {object} query
+     * @param {string} [query.screen] - Current screen ID (exact matches are boosted, its words are searched).
+     * @param {string[]} [query.hints] - Page hints (headings, labels, tabs) from the extension.
+     * @param {string} [query.question] - The user's latest transcribed question.
+     * @param {number} [query.limit=3] - Maximum passages to return.
+     * @param {string[]} [query.excludeScreens] - Screens whose entries should never be returned.
+     * @returns {{sourceId: string, entryId: string, title?: string, text: string, score: number}[]}
+     */
+    search({ screen, hints = [], question, limit = 3, excludeScreens = [] }) {
+        const queryTerms = [
+            ...tokenize(screen),
+            ...tokenize(hints.join(' ')),
+            // The question is the most specific signal: count its terms twice
+            ...tokenize(question),
+            ...tokenize(question)
+        ];
+        const screenKey = (screen || '').toLowerCase().trim();
+
+        return this.passages
+            .filter(passage => !passage.screens.some(s => excludeScreens.includes(s)))
+            .map(passage => {
+                let score = this._bm25(passage, queryTerms);
+                if (screenKey && passage.screens.includes(screenKey)) {
+                    score += SCREEN_MATCH_BOOST;
+                }
+                return { passage, score };
+            })
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ passage, score }) => ({
+                sourceId: passage.sourceId,
+                entryId: passage.entryId,
+                title: passage.title,
+                text: passage.text,
+                score: Math.round(score * 100) / 100
+            }));
+    }
+
+    _bm25(passage, queryTerms) {
+        const total = this.passages.length;
+        let score = 0;
+        queryTerms.forEach(term => {
+            const frequency = passage.termCounts.get(term);
+            if (!frequency) return;
+            const df = this.documentFrequency.get(term) || 0;
+            const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+            const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * passage.length / this.averageLength);
+            score += idf * (frequency * (BM25_K1 + 1)) / norm;
+        });
+        return score;
+    }
+}
+
+function countTerms(terms) {
+    const counts = new Map();
+    terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    return counts;
+}
@@ -0,0 +1,261 @@
+// knowledge-loader.js - Loads fitbox knowledge entries from files, directories and HTTP
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+
+/**
+ * A knowledge entry, as stored after loading and validation.
+ * @typedef {object} KnowledgeEntry
+ * @property {string} id - Unique ID; a later source replaces an earlier entry with the same ID.
+ * @property {string[]} screens - Screen IDs the entry applies to (e.g. ['add_member']).
+ * @property {string} [title] - Short human-readable title.
+ * @property {string} text - The help text given to the model.
+ * @property {string} source - Where the entry was loaded from (set by the loader).
+ */
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Checks raw entries against the knowledge schema and normalizes them. Collects every
+ * problem before failing so a broken source can be fixed in one go.
+ * @param {object[]} rawEntries - Entries as parsed from the source.
+ * @param {string} sourceName - Used in error messages and stored on each entry.
+ * @returns {KnowledgeEntry[]}
+ * @throws {Error} Listing every invalid entry.
+ */
+export function validateEntries(rawEntries, sourceName) {
+    if (!Array.isArray(rawEntries)) {
+        throw new Error(`${sourceName}: expected a list of entries (or { entries: [...] }).`);
+    }
+
+    const problems = [];
+    const seenIds = new Set();
+    const entries = rawEntries.map((raw, index) => {
+        const where = `${sourceName} entry #${index + 1}${raw && raw.id ? ` ('${raw.id}')` : ''}`;
+        if (typeof raw !== 'object' || raw === null) {
+            problems.push(`${where}: must be an object.`);
+            return null;
+        }
+
+        const screens = typeof raw.screen === 'string' ? [raw.screen] : raw.screens;
+        if (typeof raw.id !== 'string' || !ID_PATTERN.test(raw.id)) {
+            problems.push(`${where}: 'id' must be lowercase letters, digits, '_' or '-'.`);
+        } else if (seenIds.has(raw.id)) {
+            problems.push(`${where}: duplicate id within this source.`);
+        } else {
+            seenIds.add(raw.id);
+        }
+        if (!Array.isArray(screens) || screens.length === 0 || !screens.every(screen => typeof screen === 'string' && ID_PATTERN.test(screen))) {
+            problems.push(`${where}: 'screens' must be a non-empty list of screen IDs.`);
+        }
+        if (raw.title !== undefined && typeof raw.title !== 'string') {
+            problems.push(`${where}: 'title' must be a string.`);
+        }
+        if (typeof raw.text !== 'string' || !raw.text.trim()) {
+            problems.push(`${where}: 'text' must be a non-empty string.`);
+        }
+
+        return {
+            id: raw.id,
+            screens: Array.isArray(screens) ? screens : [],
+            title: raw.title,
+            text: typeof raw.text === 'string' ? raw.text.trim() : '',
+            source: sourceName
+        };
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid knowledge in ${sourceName}:\n  - ${problems.join('\n  - ')}`);
+    }
+    return entries;
+}
+
+// Accepts either a bare list or { entries: [...] }
+function unwrapEntries(parsed) {
+    return Array.isArray(parsed) ? parsed : parsed?.entries;
+}
+
+/**
+ * Loads entries from a JSON or YAML file.
+ * @param {string} filePath - Path to a .json, .yaml or .yml file.
+ * @returns {Promise<KnowledgeEntry[]>}
+ */
+export async function loadFileSource(filePath) {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    const parsed = /\.ya?ml$/i.test(filePath) ? YAML.parse(content) : JSON.parse(content);
+    return validateEntries(unwrapEntries(parsed), filePath);
+}
+
+// '.md' in any case, e.g. 'Billing.MD'
+function isMarkdownFile(file) {
+    return path.extname(file).toLowerCase() === '.md';
+}
+
+/**
+ * Loads one entry per Markdown article in a directory. Each file starts with YAML
+ * front-matter naming its screens; the body is the help text:
+ *
+ *     ---
+ *     id: add_member            # optional, defaults to the file name
+ *     screens: [add_member]     # or `screen: add_member`
+ *     title: Adding a member
+ *     ---
+ *     To add a new member...
+ *
+ * @param {string} dirPath - Directory containing .md files.
+ * @returns {Promise<KnowledgeEntry[]>}
+ */
+export async function loadDirectorySource(dirPath) {
+    const files = (await fs.promises.readdir(dirPath)).filter(isMarkdownFile).sort();
+    const rawEntries = await Promise.all(files.map(async (file) => {
+        const content = await fs.promises.readFile(path.join(dirPath, file), 'utf8');
+        const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/.exec(content);
+        if (!match) {
+            return { file, text: content, _missingFrontMatter: true };
+        }
+        const frontMatter = YAML.parse(match[1]) || {};
+        return { id: path.basename(file, path.extname(file)).toLowerCase(), ...frontMatter, text: match[2] };
+    }));
+
+    const missing = rawEntries.filter(entry => entry._missingFrontMatter).map(entry => entry.file);
+    if (missing.length > 0) {
+        throw new Error(`${dirPath}: missing front-matter with screen IDs in ${missing.join(', ')}.`);
+    }
+    return validateEntries(rawEntries, dirPath);
+}
+
+/**
+ * Loads entries from an HTTP endpoint returning JSON (or YAML by content type). The request
+ * is abandoned after KNOWLEDGE_FETCH_TIMEOUT_MS (default 10 seconds), so a hanging server
+ * fails like any other source instead of blocking startup and later reloads.
+ * @param {string} url - Endpoint URL.
+ * @returns {Promise<KnowledgeEntry[]>}
+ */
+export async function loadHttpSource(url) {
+    const timeoutMs = parseInt(process.env.KNOWLEDGE_FETCH_TIMEOUT_MS, 10) || 10 * 1000;
+    let response;
+    let content;
+    try {
+        response = await fetch(url, {
+            headers: { Accept: 'application/json, application/yaml' },
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+        content = response.ok ? await response.text() : null;
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            throw new Error(`${url}: no response within ${timeoutMs}ms.`);
+        }
+        throw error;
+    }
+    if (!response.ok) {
+        throw new Error(`${url}: HTTP error! status: ${response.status}`);
+    }
+    const isYaml = /yaml/i.test(response.headers.get('content-type') || '');
+    const parsed = isYaml ? YAML.parse(content) : JSON.parse(content);
+    return validateEntries(unwrapEntries(parsed), url);
+}
+
+/**
+ * Describes the configured sources in precedence order (lowest first): entries from
+ * later sources replace entries with the same ID from earlier ones.
+ *   1. KNOWLEDGE_BASE_URL - shared/remote knowledge
+ *   2. KNOWLEDGE_FILE     - local JSON/YAML file
+ *   3. KNOWLEDGE_DIR      - local Markdown articles (most specific, wins)
+ * @returns {{name: string, type: 'http'|'file'|'directory', location: string, load: () => Promise<KnowledgeEntry[]>}[]}
+ */
+export function getConfiguredSources() {
+    const sources = [];
+    if (process.env.KNOWLEDGE_BASE_URL) {
+        const location = process.env.KNOWLEDGE_BASE_URL;
+        sources.push({ name: 'http', type: 'http', location, load: () => loadHttpSource(location) });
+    }
+    if (process.env.KNOWLEDGE_FILE) {
+        const location = path.resolve(process.env.KNOWLEDGE_FILE);
+        sources.push({ name: 'file', type: 'file', location, load: () => loadFileSource(location) });
+    }
+    if (process.env.KNOWLEDGE_DIR) {
+        const location = path.resolve(process.env.KNOWLEDGE_DIR);
+        sources.push({ name: 'directory', type: 'directory', location, load: () => loadDirectorySource(location) });
+    }
+    return sources;
+}
+
+/**
+ * Calls `onChange` when a file or directory source changes on disk, and polls HTTP
+ * sources KNOWLEDGE_RELOAD_INTERVAL_MS (default 5 minutes) after the previous poll ended.
+ * Calls never overlap: a change during a reload runs `onChange` once more afterwards.
+ * @param {ReturnType<typeof getConfiguredSources>} sources
+ * @param {() => Promise<void>|void} onChange - Debounced; called once per burst of changes.
+ * @returns {() => void} Stops watching.
+ */
+export function watchSources(sources, onChange) {
+    const watchers = [];
+    const timers = new Set();
+    let debounceTimer = null;
+    let running = null; // Promise of the onChange call in progress
+    let rerun = false; // Another change arrived while it ran
+    let stopped = false;
+
+    const run = () => {
+        if (running) {
+            rerun = true;
+            return running;
+        }
+        running = (async () => {
+            do {
+                rerun = false;
+                try {
+                    await onChange();
+                } catch (error) {
+                    console.error('[Knowledge] Reload after a source change failed:', error.message);
+                }
+            } while (rerun && !stopped);
+        })().finally(() => {
+            running = null;
+        });
+        return running;
+    };
+    const trigger = () => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(run, 300);
+    };
+    const schedulePoll = (intervalMs) => {
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            run().then(() => {
+                if (!stopped) schedulePoll(intervalMs);
+            });
+        }, intervalMs);
+        timers.add(timer);
+    };
+
+    sources.forEach(source => {
+        if (source.type === 'http') {
+            schedulePoll(parseInt(process.env.KNOWLEDGE_RELOAD_INTERVAL_MS, 10) || 5 * 60 * 1000);
+            return;
+        }
+        try {
+            if (source.type === 'file') {
+                // Watch the directory: saving by rename (editors, atomic writes) replaces the
+                // file, and a watch on the file itself stops firing after the first save
+                const fileName = path.basename(source.location);
+                watchers.push(fs.watch(path.dirname(source.location), (eventType, changed) => {
+                    if (!changed || changed === fileName) trigger();
+                }));
+            } else {
+                watchers.push(fs.watch(source.location, (eventType, changed) => {
+                    if (!changed || isMarkdownFile(changed)) trigger();
+                }));
+            }
+        } catch (error) {
+            console.error(`[Knowledge] Cannot watch ${source.location} for changes:`, error.message);
+        }
+    });
+
+    return () => {
+        stopped = true;
+        clearTimeout(debounceTimer);
+        watchers.forEach(watcher => watcher.close());
+        timers.forEach(timer => clearTimeout(timer));
+    };
+}
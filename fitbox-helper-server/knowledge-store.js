@@ -0,0 +1,60 @@
+// knowledge-store.js - File-backed storage for knowledge entries managed through the admin API
+import fs from 'fs';
+import path from 'path';
+import { validateEntries } from './knowledge-loader.js';
+
+export const ADMIN_SOURCE_NAME = 'admin';
+
+let writeQueue = Promise.resolve(); // Serializes read-modify-write cycles on the store file
+
+/**
+ * Path of the JSON file holding admin-managed entries (ADMIN_KNOWLEDGE_FILE, default
+ * ./data/admin-knowledge.json). Read lazily because dotenv runs after imports.
+ * @returns {string}
+ */
+export function getAdminKnowledgeFile() {
+    return path.resolve(process.env.ADMIN_KNOWLEDGE_FILE || './data/admin-knowledge.json');
+}
+
+/**
+ * Reads the admin-managed entries. A missing file simply means nothing was added yet.
+ * @returns {Promise<import('./knowledge-loader.js').KnowledgeEntry[]>}
+ * @throws {Error} If the file exists but is not valid knowledge.
+ */
+export async function readAdminEntries() {
+    const filePath = getAdminKnowledgeFile();
+    let content;
+    try {
+        content = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const parsed = JSON.parse(content);
+    return validateEntries(Array.isArray(parsed) ? parsed : parsed?.entries, ADMIN_SOURCE_NAME);
+}
+
+/**
+ * Applies a change to the stored entries and writes the result. Changes run one at a
+ * time, and the file is replaced atomically so a crash never leaves it half-written.
+ * @param {(entries: import('./knowledge-loader.js').KnowledgeEntry[]) => object[]} change
+ *   Receives the current entries and returns the new list.
+ * @returns {Promise<import('./knowledge-loader.js').KnowledgeEntry[]>} The stored entries.
+ * @throws {Error} If the new list is invalid (nothing is written then).
+ */
+export function updateAdminEntries(change) {
+    const run = writeQueue.then(async () => {
+        const current = await readAdminEntries();
+        const next = validateEntries(change(current), ADMIN_SOURCE_NAME);
+
+        const filePath = getAdminKnowledgeFile();
+        const stored = next.map(({ id, screens, title, text }) => ({ id, screens, title, text }));
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify({ entries: stored }, null, 2));
+        await fs.promises.rename(tempPath, filePath);
+        return next;
+    });
+    writeQueue = run.catch(() => { /* A failed change must not block the next one */ });
+    return run;
+}
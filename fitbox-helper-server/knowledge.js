@@ -1,6 +1,12 @@
 // knowledge.js
+import { getGeminiConfig } from './config.js';
+import { validateEntries, getConfiguredSources, watchSources } from './knowledge-loader.js';
+import { KnowledgeIndex } from './knowledge-index.js';
+import { getKnownScreenIds } from './screen-routes.js';
+import { readAdminEntries, ADMIN_SOURCE_NAME } from './knowledge-store.js';
 
-// In-memory knowledge base for fitbox context (can be expanded or loaded from files/DB)
+// Built-in knowledge for fitbox context, always loaded first (lowest precedence).
+// Configured sources (see knowledge-loader.js) add to or replace these by ID.
 const fitboxKnowledge = {
     'add_member': "To add a new member in fitbox, navigate to the Members section and click the 'Add New Member' button. Fill in their details and save.",
     'edit_member': "To edit a member, find them in the Members list, click the edit icon, make your changes, and save.",
@@ -10,35 +16,207 @@ const fitboxKnowledge = {
     'initial': "Welcome to the fitbox AI helper. How can I assist you with fitbox today?"
 };
 
+const builtInEntries = validateEntries(
+    Object.entries(fitboxKnowledge).map(([screen, text]) => ({ id: screen, screens: [screen], text })),
+    'built-in'
+);
+
+// Screens whose entries are fallbacks/greetings rather than help articles; never retrieved
+const NON_ARTICLE_SCREENS = ['default', 'initial'];
+
+// Current merged knowledge: entries by ID, entries by screen ID, and the retrieval index
+let entriesById = new Map();
+let entriesByScreen = new Map();
+let knowledgeIndex = new KnowledgeIndex([]);
+let knowledgeVersion = 0; // Bumped on every change so running sessions can tell their knowledge is stale
+let stopWatching = null;
+
+// Replaces the in-memory knowledge with the merged entries (later lists win by ID)
+function applyEntries(entryLists) {
+    const merged = new Map();
+    entryLists.forEach(list => list.forEach(entry => merged.set(entry.id, entry)));
+
+    const byScreen = new Map();
+    merged.forEach(entry => {
+        entry.screens.forEach(screen => {
+            if (!byScreen.has(screen)) byScreen.set(screen, []);
+            byScreen.get(screen).push(entry);
+        });
+    });
+
+    entriesById = merged;
+    entriesByScreen = byScreen;
+    knowledgeIndex = new KnowledgeIndex(Array.from(merged.values()));
+    knowledgeVersion++;
+}
+applyEntries([builtInEntries]);
+
+/**
+ * Loads all configured knowledge sources, merges them over the built-in entries and
+ * swaps them in. Entries managed through the admin API are applied last, so they
+ * override every other source. Every source is loaded before anything is replaced, so a failing
+ * source never leaves half-updated knowledge behind.
+ * @returns {Promise<void>}
+ * @throws {Error} If any source fails to load or validate.
+ */
+export async function reloadKnowledge() {
+    const sources = getConfiguredSources();
+    const loaded = [];
+    for (const source of sources) {
+        const entries = await source.load();
+        console.log(`[Knowledge] Loaded ${entries.length} entries from ${source.name} source ${source.location}.`);
+        loaded.push(entries);
+    }
+    const adminEntries = await readAdminEntries();
+    if (adminEntries.length > 0) {
+        console.log(`[Knowledge] Loaded ${adminEntries.length} entries from ${ADMIN_SOURCE_NAME} source.`);
+    }
+    loaded.push(adminEntries);
+    applyEntries([builtInEntries, ...loaded]);
+    warnAboutUnroutedScreens();
+    console.log(`[Knowledge] Knowledge base ready: ${entriesById.size} entries for ${entriesByScreen.size} screens.`);
+}
+
+// Entries for screens the route table never produces are only found through search
+function warnAboutUnroutedScreens() {
+    const routed = new Set([...getKnownScreenIds(), ...NON_ARTICLE_SCREENS]);
+    const unrouted = new Set();
+    entriesById.forEach(entry => entry.screens.filter(screen => !routed.has(screen)).forEach(screen => unrouted.add(screen)));
+    if (unrouted.size > 0) {
+        console.warn(`[Knowledge] No route in screenRoutes.js maps to screen(s): ${Array.from(unrouted).join(', ')}.`);
+    }
+}
+
+/**
+ * Loads and validates the configured knowledge sources at startup, then watches them
+ * and reloads on change. A failed reload keeps the previous knowledge.
+ * @returns {Promise<void>}
+ * @throws {Error} If a source is invalid at startup, so a broken deployment fails fast.
+ */
+export async function initKnowledge() {
+    await reloadKnowledge();
+
+    if (stopWatching) stopWatching();
+    stopWatching = watchSources(getConfiguredSources(), () => {
+        console.log('[Knowledge] Knowledge source changed. Reloading...');
+        return reloadKnowledge().catch(error => {
+            console.error('[Knowledge] Reload failed, keeping previous knowledge:', error.message);
+        });
+    });
+}
+
+/**
+ * Returns all current knowledge entries.
+ * @returns {import('./knowledge-loader.js').KnowledgeEntry[]}
+ */
+export function getKnowledgeEntries() {
+    return Array.from(entriesById.values());
+}
+
+/**
+ * Returns a single knowledge entry by ID.
+ * @param {string} id
+ * @returns {import('./knowledge-loader.js').KnowledgeEntry | undefined}
+ */
+export function getKnowledgeEntry(id) {
+    return entriesById.get(id);
+}
+
+/**
+ * Returns a number that changes whenever the knowledge is reloaded or edited.
+ * @returns {number}
+ */
+export function getKnowledgeVersion() {
+    return knowledgeVersion;
+}
+
+/**
+ * Ranks knowledge passages for what the user is doing, using the local BM25 index.
+ * Entries written for the exact screen are boosted, so a screen like 'members_123_edit'
+ * still finds member editing help through its words and the page hints.
+ * @param {object} query
+ * @param {string} [query.screen] - The screen identifier (e.g., 'add_member').
+ * @param {string[]} [query.hints] - Page hints extracted by the extension (headings, labels, tabs).
+ * @param {string} [query.question] - The user's latest transcribed question.
+ * @param {number} [query.limit=3] - Maximum number of passages to return.
+ * @returns {{sourceId: string, entryId: string, title?: string, text: string, score: number}[]} Best match first.
+ */
+export function retrieveKnowledge({ screen, hints = [], question, limit = 3 } = {}) {
+    return knowledgeIndex.search({ screen, hints, question, limit, excludeScreens: NON_ARTICLE_SCREENS });
+}
+
+/**
+ * Renders retrieved passages for the model, each tagged with its source ID.
+ * @param {ReturnType<typeof retrieveKnowledge>} passages
+ * @returns {string}
+ */
+export function formatPassages(passages) {
+    return passages.map(passage => `[source: ${passage.sourceId}] ${passage.text}`).join('\n\n');
+}
+
 /**
- * Retrieves fitbox-specific knowledge context based on a screen identifier.
+ * Retrieves fitbox-specific knowledge context for a screen, ranked with the page hints
+ * and the user's latest question. Falls back to the 'default' text when nothing matches.
  * @param {string} screen - The screen identifier (e.g., 'add_member').
- * @returns {string} The relevant knowledge context or default context.
+ * @param {{hints?: string[], question?: string}} [signals] - Extra ranking signals.
+ * @returns {string} The relevant passages with source IDs, or the default context.
  */
-export function getKnowledgeForScreen(screen) {
+export function getKnowledgeForScreen(screen, { hints = [], question } = {}) {
     const screenKey = screen ? screen.toLowerCase().trim() : 'default';
     console.log(`[Knowledge] Requested context for screen: '${screenKey}'`);
-    const context = fitboxKnowledge[screenKey] || fitboxKnowledge['default'];
-    console.log(`[Knowledge] Providing context: "${context.substring(0, 50)}..."`);
+    if (NON_ARTICLE_SCREENS.includes(screenKey) && entriesByScreen.has(screenKey) && !question && hints.length === 0) {
+        return entriesByScreen.get(screenKey).map(entry => entry.text).join('\n\n');
+    }
+    const passages = retrieveKnowledge({ screen: screenKey, hints, question });
+    const context = passages.length > 0
+        ? formatPassages(passages)
+        : (entriesByScreen.get('default') || []).map(entry => entry.text).join('\n\n');
+    console.log(`[Knowledge] Providing context from ${passages.map(p => p.sourceId).join(', ') || 'default'}: "${context.substring(0, 50)}..."`);
     return context;
 }
 
-// Example: Load from external source (Placeholder)
-// async function loadExternalKnowledge() {
-//     const url = process.env.KNOWLEDGE_BASE_URL;
-//     if (!url) return;
-//     try {
-//         const response = await fetch(url);
-//         if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-//         const externalData = await response.json(); // Assuming JSON format
-//         // Merge or replace fitboxKnowledge with externalData
-//         console.log("[Knowledge] Successfully loaded external knowledge.");
-//     } catch (error) {
-//         console.error("[Knowledge] Failed to load external knowledge:", error);
-//     }
-// }
-
-// Load external knowledge on startup if needed
-// if (process.env.KNOWLEDGE_BASE_URL) {
-//     loadExternalKnowledge();
-// }
+/**
+ * Finds knowledge passages matching a free-text query. Used by the knowledge lookup tool.
+ * @param {string} query - What the user or model is looking for (e.g., 'book a class').
+ * @param {number} [limit=3] - Maximum number of passages to return.
+ * @returns {{source: string, title?: string, text: string}[]} Matching passages, best match first.
+ */
+export function searchKnowledge(query, limit = 3) {
+    console.log(`[Knowledge] Searching for: '${query}'`);
+    return retrieveKnowledge({ question: query, limit })
+        .map(passage => ({ source: passage.sourceId, title: passage.title, text: passage.text }));
+}
+
+/**
+ * Builds the Gemini `systemInstruction` text for a session on the given screen:
+ * the assistant persona followed by the best-matching fitbox knowledge passages.
+ * @param {string} screen - The screen identifier (e.g., 'add_member').
+ * @param {{hints?: string[], question?: string}} [signals] - Extra ranking signals.
+ * @returns {string} The system instruction text.
+ */
+export function buildSystemInstruction(screen, signals) {
+    const { persona } = getGeminiConfig();
+    const knowledge = getKnowledgeForScreen(screen, signals);
+    return `${persona}\n\nFitbox knowledge for the user's current screen (cite the source IDs if asked where an answer comes from):\n${knowledge}`;
+}
+
+/**
+ * Renders a page context object from the extension as short lines of text for the model.
+ * @param {object} pageContext The object built by parseDOMForContext in the extension.
+ * @returns {string}
+ */
+export function describePageContext(pageContext) {
+    const lines = [];
+    const addList = (label, values) => {
+        if (Array.isArray(values) && values.length > 0) {
+            lines.push(`${label}: ${values.map(String).join(' | ')}`);
+        }
+    };
+    if (pageContext.title) lines.push(`Page title: ${pageContext.title}`);
+    if (pageContext.selectedRecord) lines.push(`Selected record: ${pageContext.selectedRecord}`);
+    addList('Headings', pageContext.headings);
+    addList('Active tabs', pageContext.activeTabs);
+    addList('Form fields', pageContext.formLabels);
+    addList('Validation errors shown', pageContext.validationErrors);
+    return lines.join('\n') || 'No readable details on this page.';
+}
@@ -0,0 +1,30 @@
+// screen-routes.js - Server access to the route table shared with the extension
+import { createRequire } from 'module';
+
+// The table lives in the extension (it is loaded there with importScripts) and is a
+// classic script that also sets module.exports, so it is required rather than imported.
+const require = createRequire(import.meta.url);
+const { SCREEN_ROUTES, resolveScreenRoute } = require('../fitbox-helper-extension/utils/screenRoutes.js');
+
+export { SCREEN_ROUTES, resolveScreenRoute };
+
+/**
+ * Returns the canonical screen IDs the route table can produce, in table order.
+ * @returns {string[]}
+ */
+export function getKnownScreenIds() {
+    return Array.from(new Set(SCREEN_ROUTES.map(route => route.screen)));
+}
+
+/**
+ * Describes route parameters for the model, e.g. "memberId: 4821, tab: billing".
+ * @param {Object<string, string>} params Parameters captured by the route table.
+ * @returns {string} Empty if there are none.
+ */
+export function describeScreenParams(params) {
+    if (!params || typeof params !== 'object') return '';
+    return Object.entries(params)
+        .filter(([, value]) => typeof value === 'string' && value)
+        .map(([name, value]) => `${name}: ${value}`)
+        .join(', ');
+}
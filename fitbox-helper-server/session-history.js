@@ -0,0 +1,301 @@
+// session-history.js - Persists each conversation as a JSONL file and renders exports
+//
+// One file per session in SESSION_HISTORY_DIR (default ./data/sessions), one event per
+// line: start, screen, transcript, tool_call, error and end. Appending events keeps a
+// crash from losing more than the line being written. Files untouched for
+// SESSION_HISTORY_RETENTION_DAYS (default 90) are deleted at startup and once a day.
+import fs from 'fs';
+import path from 'path';
+
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Session summaries by ID with the file's mtime and size, so listing only parses changed files
+const summaryCache = new Map();
+let pruneTimer = null;
+
+// Read lazily because dotenv runs after imports
+function getHistoryDir() {
+    return path.resolve(process.env.SESSION_HISTORY_DIR || './data/sessions');
+}
+
+function isHistoryEnabled() {
+    return process.env.SESSION_HISTORY_ENABLED !== 'false';
+}
+
+function getRetentionDays() {
+    return parseInt(process.env.SESSION_HISTORY_RETENTION_DAYS, 10) || 90;
+}
+
+function getSessionFile(sessionId) {
+    return path.join(getHistoryDir(), `${sessionId}.jsonl`);
+}
+
+// The IDs of the recorded sessions; none if the directory doesn't exist yet
+async function listSessionIds() {
+    try {
+        const files = await fs.promises.readdir(getHistoryDir());
+        return files.filter(file => file.endsWith('.jsonl')).map(file => path.basename(file, '.jsonl'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+/**
+ * Deletes the files of sessions last written more than SESSION_HISTORY_RETENTION_DAYS ago.
+ * @param {number} [now] Current time in milliseconds.
+ * @returns {Promise<number>} How many sessions were deleted.
+ */
+export async function pruneSessionHistory(now = Date.now()) {
+    const cutoff = now - getRetentionDays() * 24 * 60 * 60 * 1000;
+    let removed = 0;
+    for (const sessionId of await listSessionIds()) {
+        try {
+            const stats = await fs.promises.stat(getSessionFile(sessionId));
+            if (stats.mtimeMs < cutoff) {
+                await fs.promises.unlink(getSessionFile(sessionId));
+                summaryCache.delete(sessionId);
+                removed++;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+    if (removed > 0) {
+        console.log(`[History] Deleted ${removed} session(s) older than ${getRetentionDays()} days.`);
+    }
+    return removed;
+}
+
+/**
+ * Deletes expired sessions now and once a day from then on. Call once at startup.
+ * @returns {Promise<void>}
+ */
+export async function initSessionHistory() {
+    if (!isHistoryEnabled()) return;
+    const prune = () => pruneSessionHistory().catch(error => console.error('[History] Failed to delete old sessions:', error.message));
+    await prune();
+    clearInterval(pruneTimer);
+    pruneTimer = setInterval(prune, PRUNE_INTERVAL_MS);
+    pruneTimer.unref(); // Pruning must not keep the process alive
+}
+
+/**
+ * Records the events of one session. Writes are queued so events stay in order, and
+ * failures are logged rather than thrown: history must never break a conversation.
+ */
+export class SessionRecorder {
+    /**
+     * @param {string} sessionId The GeminiSession ID (a UUID).
+     */
+    constructor(sessionId) {
+        this.sessionId = sessionId;
+        this.enabled = isHistoryEnabled();
+        this.startedAt = Date.now();
+        this.ended = false;
+        this.writeQueue = this.enabled
+            ? fs.promises.mkdir(getHistoryDir(), { recursive: true }).catch(error => {
+                console.error(`[History] Cannot create ${getHistoryDir()}:`, error.message);
+                this.enabled = false;
+            })
+            : Promise.resolve();
+    }
+
+    /**
+     * Appends an event to the session's file.
+     * @param {'start'|'screen'|'transcript'|'tool_call'|'error'|'end'} type
+     * @param {object} [data]
+     */
+    record(type, data = {}) {
+        if (!this.enabled || this.ended) return;
+        if (type === 'end') this.ended = true;
+        const line = JSON.stringify({ type, at: new Date().toISOString(), ...data }) + '\n';
+        this.writeQueue = this.writeQueue
+            .then(() => this.enabled && fs.promises.appendFile(getSessionFile(this.sessionId), line))
+            .catch(error => console.error(`[History] Failed to record '${type}' for session ${this.sessionId}:`, error.message));
+    }
+
+    /**
+     * Records the end of the session with its duration.
+     * @param {string} reason Why the session ended.
+     */
+    end(reason) {
+        this.record('end', { reason, durationMs: Date.now() - this.startedAt });
+    }
+}
+
+/**
+ * Reads a session's events and folds them into one record.
+ * @param {string} sessionId
+ * @returns {Promise<object|null>} Null if the session is unknown.
+ */
+export async function getSessionRecord(sessionId) {
+    if (!SESSION_ID_PATTERN.test(sessionId)) return null;
+    let content;
+    try {
+        content = await fs.promises.readFile(getSessionFile(sessionId), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    const record = {
+        sessionId,
+        startedAt: null,
+        endedAt: null,
+        durationMs: null,
+        endReason: null,
+        client: null,
+        screens: [],
+        transcript: [],
+        toolCalls: [],
+        errors: []
+    };
+    content.split('\n').filter(Boolean).forEach(line => {
+        let event;
+        try {
+            event = JSON.parse(line);
+        } catch {
+            return; // A line cut short by a crash
+        }
+        switch (event.type) {
+            case 'start':
+                record.startedAt = event.at;
+                record.client = event.client || null;
+                if (event.screen) record.screens.push({ screen: event.screen, params: {}, at: event.at });
+                break;
+            case 'screen':
+                record.screens.push({ screen: event.screen, params: event.params || {}, at: event.at });
+                break;
+            case 'transcript':
+                record.transcript.push({ speaker: event.speaker, text: event.text, startedAt: event.startedAt, endedAt: event.endedAt, interrupted: !!event.interrupted });
+                break;
+            case 'tool_call':
+                record.toolCalls.push({ name: event.name, args: event.args, response: event.response, durationMs: event.durationMs, at: event.at });
+                break;
+            case 'error':
+                record.errors.push({ message: event.message, at: event.at });
+                break;
+            case 'end':
+                record.endedAt = event.at;
+                record.durationMs = event.durationMs;
+                record.endReason = event.reason;
+                break;
+        }
+    });
+    return record;
+}
+
+/**
+ * Lists recorded sessions, newest first.
+ * @param {{limit?: number, screen?: string}} [options]
+ * @returns {Promise<object[]>} Summaries without transcripts.
+ */
+export async function listSessionRecords({ limit = 50, screen } = {}) {
+    const sessionIds = await listSessionIds();
+    const present = new Set(sessionIds);
+    Array.from(summaryCache.keys()).filter(id => !present.has(id)).forEach(id => summaryCache.delete(id));
+
+    const summaries = await Promise.all(sessionIds.map(getSessionSummary));
+    return summaries
+        .filter(summary => summary && (!screen || summary.screens.includes(screen)))
+        .sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''))
+        .slice(0, limit);
+}
+
+// A session's summary, parsed again only when its file has changed since the last listing
+async function getSessionSummary(sessionId) {
+    let stats;
+    try {
+        stats = await fs.promises.stat(getSessionFile(sessionId));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+    const cached = summaryCache.get(sessionId);
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+        return cached.summary;
+    }
+    const record = await getSessionRecord(sessionId);
+    const summary = record && {
+        sessionId: record.sessionId,
+        startedAt: record.startedAt,
+        endedAt: record.endedAt,
+        durationMs: record.durationMs,
+        endReason: record.endReason,
+        screens: Array.from(new Set(record.screens.map(visit => visit.screen))),
+        turns: record.transcript.length,
+        toolCalls: record.toolCalls.length,
+        errors: record.errors.length
+    };
+    if (summary) summaryCache.set(sessionId, { mtimeMs: stats.mtimeMs, size: stats.size, summary });
+    return summary;
+}
+
+// --- Exports ---
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders a session as CSV with one row per event, in time order.
+ * @param {object} record From getSessionRecord.
+ * @returns {string}
+ */
+export function sessionToCsv(record) {
+    const rows = [
+        ...record.screens.map(visit => [visit.at, 'screen', '', visit.screen, JSON.stringify(visit.params)]),
+        ...record.transcript.map(entry => [entry.startedAt, 'transcript', entry.speaker, entry.text, entry.interrupted ? 'interrupted' : '']),
+        ...record.toolCalls.map(call => [call.at, 'tool_call', '', call.name, JSON.stringify({ args: call.args, response: call.response, durationMs: call.durationMs })]),
+        ...record.errors.map(error => [error.at, 'error', '', error.message, ''])
+    ].sort((a, b) => (a[0] || '').localeCompare(b[0] || ''));
+
+    return [['time', 'type', 'speaker', 'text', 'details'], ...rows]
+        .map(row => row.map(csvField).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Renders a session as Markdown for support staff to read.
+ * @param {object} record From getSessionRecord.
+ * @returns {string}
+ */
+export function sessionToMarkdown(record) {
+    const time = iso => (iso ? new Date(iso).toLocaleTimeString('en-GB') : '?');
+    const lines = [
+        `# fitbox Helper session ${record.sessionId}`,
+        '',
+        `- Started: ${record.startedAt || 'unknown'}`,
+        `- Ended: ${record.endedAt || 'not recorded'}${record.endReason ? ` (${record.endReason})` : ''}`,
+        `- Duration: ${record.durationMs !== null ? `${Math.round(record.durationMs / 1000)} s` : 'unknown'}`,
+        `- Extension: ${record.client?.extensionVersion || 'unknown'}, locale ${record.client?.locale || 'unknown'}`,
+        '',
+        '## Screens',
+        '',
+        ...(record.screens.length > 0
+            ? record.screens.map(visit => `- ${time(visit.at)} \`${visit.screen}\`${Object.keys(visit.params).length > 0 ? ` ${JSON.stringify(visit.params)}` : ''}`)
+            : ['_None recorded._']),
+        '',
+        '## Transcript',
+        '',
+        ...(record.transcript.length > 0
+            ? record.transcript.map(entry => `**${entry.speaker === 'user' ? 'User' : 'Helper'}** (${time(entry.startedAt)}): ${entry.text}${entry.interrupted ? ' _(interrupted)_' : ''}\n`)
+            : ['_No transcript._', ''])
+    ];
+    if (record.toolCalls.length > 0) {
+        lines.push('## Tool calls', '');
+        record.toolCalls.forEach(call => {
+            lines.push(`- ${time(call.at)} \`${call.name}\` ${JSON.stringify(call.args || {})} -> ${JSON.stringify(call.response)} (${call.durationMs} ms)`);
+        });
+        lines.push('');
+    }
+    if (record.errors.length > 0) {
+        lines.push('## Errors', '');
+        record.errors.forEach(error => lines.push(`- ${time(error.at)} ${error.message}`));
+        lines.push('');
+    }
+    return lines.join('\n');
+}
@@ -0,0 +1,48 @@
+// client-auth.test.js - Pairing, token checks and revocation in client-auth.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createPairingCode, redeemPairingCode, authenticateClientToken, revokeClient } from '../client-auth.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fitbox-auth-test-'));
+const tokensFile = path.join(dir, 'client-tokens.json');
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const readStored = () => JSON.parse(fs.readFileSync(tokensFile, 'utf8')).clients;
+
+before(() => {
+    process.env.CLIENT_TOKENS_FILE = tokensFile;
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('redeems a pairing code once', async () => {
+    const { code } = createPairingCode('anna');
+    const { token, client } = await redeemPairingCode(code.toLowerCase(), { deviceName: 'Chrome on linux' });
+    assert.equal(client.user, 'anna');
+    assert.equal(client.tokenHash, undefined);
+    assert.ok(!JSON.stringify(readStored()).includes(token), 'only the hash is stored');
+    await assert.rejects(redeemPairingCode(code), error => error.status === 401);
+});
+
+test('saves lastUsedAt at most once a minute per client', async () => {
+    const { token, client } = await redeemPairingCode(createPairingCode('ben').code);
+    const first = await authenticateClientToken(token);
+    await sleep(50);
+    const storedFirst = readStored().find(stored => stored.id === client.id).lastUsedAt;
+    assert.equal(storedFirst, first.lastUsedAt);
+
+    await sleep(5);
+    const second = await authenticateClientToken(token);
+    await sleep(50);
+    assert.notEqual(second.lastUsedAt, first.lastUsedAt, 'kept current in memory');
+    assert.equal(readStored().find(stored => stored.id === client.id).lastUsedAt, storedFirst, 'file not rewritten');
+});
+
+test('revoked tokens no longer authenticate', async () => {
+    const { token, client } = await redeemPairingCode(createPairingCode('cleo').code);
+    await revokeClient(client.id);
+    assert.equal(await authenticateClientToken(token), null);
+    assert.equal(await authenticateClientToken('not-a-token'), null);
+});
@@ -0,0 +1,37 @@
+// config.test.js - Environment parsing in config.js
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getGeminiConfig } from '../config.js';
+
+const original = process.env.GEMINI_RESPONSE_MODALITIES;
+
+afterEach(() => {
+    if (original === undefined) delete process.env.GEMINI_RESPONSE_MODALITIES;
+    else process.env.GEMINI_RESPONSE_MODALITIES = original;
+});
+
+test('responds with audio by default', () => {
+    delete process.env.GEMINI_RESPONSE_MODALITIES;
+    assert.deepEqual(getGeminiConfig().responseModalities, ['AUDIO']);
+});
+
+test('accepts a single modality in any case', () => {
+    process.env.GEMINI_RESPONSE_MODALITIES = ' text ';
+    assert.deepEqual(getGeminiConfig().responseModalities, ['TEXT']);
+});
+
+test('rejects several or unknown modalities', () => {
+    process.env.GEMINI_RESPONSE_MODALITIES = 'TEXT,AUDIO';
+    assert.throws(() => getGeminiConfig(), /exactly one of AUDIO or TEXT/);
+    process.env.GEMINI_RESPONSE_MODALITIES = 'VIDEO';
+    assert.throws(() => getGeminiConfig(), /exactly one of AUDIO or TEXT/);
+});
+
+test('rolls conversations over only when a limit is configured', () => {
+    delete process.env.GEMINI_SESSION_MAX_AUDIO_MS;
+    assert.equal(getGeminiConfig().sessionMaxAudioMs, null);
+    assert.equal(getGeminiConfig().sessionMaxTokens, null);
+    process.env.GEMINI_SESSION_MAX_AUDIO_MS = '600000';
+    assert.equal(getGeminiConfig().sessionMaxAudioMs, 600000);
+    delete process.env.GEMINI_SESSION_MAX_AUDIO_MS;
+});
@@ -0,0 +1,47 @@
+// knowledge-index.test.js - Tokenizing and BM25 retrieval of knowledge passages
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KnowledgeIndex, tokenize } from '../knowledge-index.js';
+
+const ENTRIES = [
+    { id: 'view_schedule', title: 'Viewing the schedule', screens: ['view_schedule'], text: 'The schedule shows every class of the week. Switch between day and week views.' },
+    { id: 'book_class', title: 'Booking a class', screens: ['book_class'], text: 'Pick a member, then choose the class to book them into.' },
+    { id: 'member_billing', title: 'Member billing', screens: ['member_billing'], text: 'Invoices and payment methods are on the Billing tab of a member.' },
+    { id: 'settings', title: 'Settings', screens: ['settings'], text: 'Services and their prices are set up on the settings pages.' }
+];
+
+function topEntry(index, question) {
+    return index.search({ question, limit: 1 })[0]?.entryId;
+}
+
+test('stems singular and plural forms to the same term', () => {
+    const pairs = [
+        ['class', 'classes'], ['schedule', 'schedules'], ['service', 'services'], ['page', 'pages'],
+        ['member', 'members'], ['box', 'boxes'], ['match', 'matches'], ['wish', 'wishes']
+    ];
+    pairs.forEach(([singular, plural]) => assert.deepEqual(tokenize(plural), tokenize(singular), plural));
+    assert.deepEqual(tokenize('members_4821_edit'), ['member', 'edit']);
+    assert.deepEqual(tokenize('booking'), ['book']);
+});
+
+test('retrieves the same article for singular and plural questions', () => {
+    const index = new KnowledgeIndex(ENTRIES);
+    assert.equal(topEntry(index, 'show my schedule'), 'view_schedule');
+    assert.equal(topEntry(index, 'show my schedules'), 'view_schedule');
+    assert.equal(topEntry(index, 'book a class'), 'book_class');
+    assert.equal(topEntry(index, 'book classes'), 'book_class');
+    assert.equal(topEntry(index, 'where are the services'), 'settings');
+    assert.equal(topEntry(index, 'where is the service'), 'settings');
+});
+
+test('boosts entries written for the current screen and honours exclusions', () => {
+    const index = new KnowledgeIndex(ENTRIES);
+    assert.equal(index.search({ screen: 'member_billing', question: 'class', limit: 1 })[0].entryId, 'member_billing');
+    const results = index.search({ question: 'book classes', excludeScreens: ['book_class'] });
+    assert.ok(results.every(result => result.entryId !== 'book_class'));
+});
+
+test('cites paragraphs of multi-paragraph entries separately', () => {
+    const index = new KnowledgeIndex([{ id: 'guide', screens: [], text: 'Invoices are sent monthly.\n\nRefunds take five days.' }]);
+    assert.deepEqual(index.search({ question: 'refunds' }).map(result => result.sourceId), ['guide#2']);
+});
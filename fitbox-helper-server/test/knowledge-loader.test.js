@@ -0,0 +1,89 @@
+// knowledge-loader.test.js - Markdown directory sources and change watching
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { loadDirectorySource, loadHttpSource, watchSources } from '../knowledge-loader.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function makeTempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'fitbox-knowledge-test-'));
+}
+
+// Saves like editors and knowledge-store.js do: write a temp file, then rename it over
+function saveAtomically(filePath, content) {
+    fs.writeFileSync(`${filePath}.tmp`, content);
+    fs.renameSync(`${filePath}.tmp`, filePath);
+}
+
+test('loads Markdown articles whatever the case of their extension', async (t) => {
+    const dir = makeTempDir();
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'Billing.MD'), '---\nscreens: [member_billing]\n---\nOpen the Billing tab.');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'Not an article.');
+
+    const entries = await loadDirectorySource(dir);
+    assert.deepEqual(entries.map(entry => [entry.id, entry.text]), [['billing', 'Open the Billing tab.']]);
+});
+
+test('names files without front-matter in the error', async (t) => {
+    const dir = makeTempDir();
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'Plain.Md'), 'No front-matter.');
+    await assert.rejects(loadDirectorySource(dir), /missing front-matter with screen IDs in Plain\.Md/);
+});
+
+test('keeps noticing a file source that is saved by rename', async (t) => {
+    const dir = makeTempDir();
+    const filePath = path.join(dir, 'knowledge.json');
+    fs.writeFileSync(filePath, '[]');
+    let changes = 0;
+    const stop = watchSources([{ type: 'file', location: filePath }], () => { changes++; });
+    t.after(() => {
+        stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    saveAtomically(filePath, '[1]');
+    await sleep(600);
+    assert.equal(changes, 1);
+    saveAtomically(filePath, '[2]');
+    await sleep(600);
+    assert.equal(changes, 2);
+});
+
+test('never overlaps slow HTTP polls', async (t) => {
+    process.env.KNOWLEDGE_RELOAD_INTERVAL_MS = '20';
+    t.after(() => delete process.env.KNOWLEDGE_RELOAD_INTERVAL_MS);
+    let running = 0;
+    let maxRunning = 0;
+    let calls = 0;
+    const stop = watchSources([{ type: 'http', location: 'http://example.invalid/' }], async () => {
+        calls++;
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await sleep(60); // Slower than the interval
+        running--;
+    });
+    await sleep(300);
+    stop();
+    assert.ok(calls >= 2);
+    assert.equal(maxRunning, 1);
+});
+
+test('gives up on an HTTP source that never answers', async (t) => {
+    process.env.KNOWLEDGE_FETCH_TIMEOUT_MS = '100';
+    const server = http.createServer(() => {}); // Accepts the request, never responds
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        delete process.env.KNOWLEDGE_FETCH_TIMEOUT_MS;
+        server.closeAllConnections();
+        server.close();
+    });
+
+    const url = `http://127.0.0.1:${server.address().port}/knowledge.json`;
+    await assert.rejects(loadHttpSource(url), /no response within 100ms/);
+});
@@ -0,0 +1,53 @@
+// screen-routes.test.js - Route table shared with the extension (utils/screenRoutes.js)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveScreenRoute, getKnownScreenIds } from '../screen-routes.js';
+
+const BASE = 'https://app.fitbox.iq';
+
+test('captures member IDs from path parameters', () => {
+    assert.deepEqual(resolveScreenRoute(`${BASE}/members/4821/edit`), { screen: 'edit_member', params: { memberId: '4821' } });
+    assert.deepEqual(resolveScreenRoute(`${BASE}/members/4821`), { screen: 'view_member', params: { memberId: '4821' } });
+    assert.deepEqual(resolveScreenRoute(`${BASE}/members/new`), { screen: 'add_member', params: {} });
+    assert.deepEqual(resolveScreenRoute(`${BASE}/members`), { screen: 'member_list', params: {} });
+});
+
+test('decodes escaped path parameters', () => {
+    assert.deepEqual(resolveScreenRoute(`${BASE}/members/J%C3%BCrgen`), { screen: 'view_member', params: { memberId: 'Jürgen' } });
+});
+
+test('keeps malformed escapes as they are instead of throwing', () => {
+    assert.deepEqual(resolveScreenRoute(`${BASE}/members/%E0/edit`), { screen: 'edit_member', params: { memberId: '%E0' } });
+});
+
+test('prefers hash routes over the pathname', () => {
+    assert.deepEqual(resolveScreenRoute(`${BASE}/app#/members/12/edit`), { screen: 'edit_member', params: { memberId: '12' } });
+    assert.deepEqual(resolveScreenRoute(`${BASE}/#!/schedule/classes/7/book`), { screen: 'book_class', params: { classId: '7' } });
+    assert.deepEqual(resolveScreenRoute(`${BASE}/#/members/12?tab=billing`), { screen: 'member_billing', params: { memberId: '12' } });
+});
+
+test('selects member tabs and captures query parameters', () => {
+    assert.deepEqual(resolveScreenRoute(`${BASE}/members/12?tab=bookings`), { screen: 'member_bookings', params: { memberId: '12' } });
+    assert.deepEqual(resolveScreenRoute(`${BASE}/members/12?tab=notes`), { screen: 'view_member', params: { memberId: '12' } });
+    assert.deepEqual(resolveScreenRoute(`${BASE}/schedule?view=week`), { screen: 'view_schedule', params: { view: 'week' } });
+    assert.deepEqual(resolveScreenRoute(`${BASE}/settings?tab=billing`), { screen: 'settings', params: { section: 'billing' } });
+    assert.deepEqual(resolveScreenRoute(`${BASE}/settings/users/roles/3`), { screen: 'settings', params: { section: 'users' } });
+});
+
+test('maps the root path to the dashboard', () => {
+    assert.deepEqual(resolveScreenRoute(`${BASE}/`), { screen: 'dashboard', params: {} });
+    assert.deepEqual(resolveScreenRoute(`${BASE}/dashboard`), { screen: 'dashboard', params: {} });
+});
+
+test('returns null for unknown paths and invalid URLs', () => {
+    assert.equal(resolveScreenRoute(`${BASE}/reports/monthly`), null);
+    assert.equal(resolveScreenRoute(`${BASE}/members/12/edit/extra`), null);
+    assert.equal(resolveScreenRoute('not a url'), null);
+});
+
+test('lists every screen ID once, in table order', () => {
+    const screens = getKnownScreenIds();
+    assert.equal(new Set(screens).size, screens.length);
+    assert.equal(screens[0], 'add_member');
+    assert.ok(screens.includes('dashboard'));
+});
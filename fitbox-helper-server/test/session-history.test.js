@@ -0,0 +1,83 @@
+// session-history.test.js - Session records, their CSV/Markdown exports and retention
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SessionRecorder, getSessionRecord, listSessionRecords, pruneSessionHistory, sessionToCsv, sessionToMarkdown } from '../session-history.js';
+
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fitbox-history-test-'));
+    process.env.SESSION_HISTORY_DIR = dir;
+    process.env.SESSION_HISTORY_RETENTION_DAYS = '30';
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+async function recordSession(events) {
+    const recorder = new SessionRecorder(crypto.randomUUID());
+    events.forEach(([type, data]) => recorder.record(type, data));
+    await recorder.writeQueue;
+    return recorder.sessionId;
+}
+
+test('exports a session as CSV, quoting fields that need it', async () => {
+    const sessionId = await recordSession([
+        ['start', { screen: 'member_list', client: { extensionVersion: '1.2.0', locale: 'de-DE' } }],
+        ['transcript', { speaker: 'user', text: 'How do I add "Anna", the new member?', startedAt: '2026-10-19T09:00:01.000Z' }],
+        ['tool_call', { name: 'navigate', args: { screen: 'add_member' }, response: { ok: true }, durationMs: 12 }],
+        ['end', { reason: 'client_closed', durationMs: 5000 }]
+    ]);
+    const csv = sessionToCsv(await getSessionRecord(sessionId));
+    const lines = csv.trimEnd().split('\r\n');
+
+    assert.equal(lines[0], 'time,type,speaker,text,details');
+    assert.equal(lines.length, 4);
+    assert.ok(lines.includes('2026-10-19T09:00:01.000Z,transcript,user,"How do I add ""Anna"", the new member?",'));
+    assert.ok(lines.some(line => line.includes(',tool_call,,navigate,"{""args"":{""screen"":""add_member""}')));
+    assert.ok(csv.endsWith('\r\n'));
+});
+
+test('exports a session as Markdown for support staff', async () => {
+    const sessionId = await recordSession([
+        ['start', { screen: 'view_schedule', client: { extensionVersion: '1.2.0', locale: 'en-GB' } }],
+        ['transcript', { speaker: 'assistant', text: 'Open the week view.', startedAt: '2026-10-19T09:00:02.000Z', interrupted: true }],
+        ['error', { message: 'AI service is not connected.' }]
+    ]);
+    const markdown = sessionToMarkdown(await getSessionRecord(sessionId));
+
+    assert.ok(markdown.startsWith(`# fitbox Helper session ${sessionId}\n`));
+    assert.match(markdown, /- Ended: not recorded\n/);
+    assert.match(markdown, /- Extension: 1\.2\.0, locale en-GB/);
+    assert.match(markdown, /`view_schedule`/);
+    assert.match(markdown, /\*\*Helper\*\* \(\d\d:\d\d:\d\d\): Open the week view\. _\(interrupted\)_/);
+    assert.match(markdown, /## Errors\n\n- \d\d:\d\d:\d\d AI service is not connected\./);
+    assert.doesNotMatch(markdown, /## Tool calls/);
+});
+
+test('lists sessions again after one of them changed', async () => {
+    const sessionId = await recordSession([['start', { screen: 'dashboard' }]]);
+    let listed = (await listSessionRecords({ screen: 'dashboard' })).find(summary => summary.sessionId === sessionId);
+    assert.equal(listed.turns, 0);
+
+    await recordSession([['start', { screen: 'settings' }]]); // Another session, so the list isn't only this one
+    fs.appendFileSync(path.join(dir, `${sessionId}.jsonl`), JSON.stringify({ type: 'transcript', speaker: 'user', text: 'Hi' }) + '\n');
+    listed = (await listSessionRecords({ screen: 'dashboard' })).find(summary => summary.sessionId === sessionId);
+    assert.equal(listed.turns, 1);
+});
+
+test('deletes sessions past the retention period', async () => {
+    const oldId = await recordSession([['start', { screen: 'dashboard' }]]);
+    const recentId = await recordSession([['start', { screen: 'dashboard' }]]);
+    const longAgo = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000);
+    fs.utimesSync(path.join(dir, `${oldId}.jsonl`), longAgo, longAgo);
+
+    assert.equal(await pruneSessionHistory(), 1);
+    assert.equal(await getSessionRecord(oldId), null);
+    assert.notEqual(await getSessionRecord(recentId), null);
+    const listed = (await listSessionRecords({ limit: 500 })).map(summary => summary.sessionId);
+    assert.ok(!listed.includes(oldId));
+});
@@ -0,0 +1,65 @@
+// usage-quotas.test.js - Quota verdicts of usage-quotas.js
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { ANONYMOUS_USER, acquireSessionSlot, meterAudio, meterMessage, getUserUsage } from '../usage-quotas.js';
+
+before(() => {
+    process.env.USAGE_FILE = path.join(os.tmpdir(), `fitbox-usage-test-${process.pid}.json`); // Saves are batched and never reached
+    process.env.QUOTA_USER_CONCURRENT_SESSIONS = '1';
+    process.env.QUOTA_USER_AUDIO_SECONDS_PER_DAY = '1';
+    process.env.QUOTA_USER_MESSAGES_PER_MINUTE = '2';
+    process.env.QUOTA_GLOBAL_CONCURRENT_SESSIONS = '10';
+});
+
+test('refuses a second concurrent session without reporting an ended session', () => {
+    const slot = acquireSessionSlot('sessions-user');
+    assert.equal(slot.ok, true);
+    const refused = acquireSessionSlot('sessions-user');
+    assert.equal(refused.ok, false);
+    assert.equal(refused.quota, 'concurrent_sessions');
+    assert.equal(refused.fatal, true);
+    assert.equal(refused.sessionEnded, false);
+    slot.release();
+    slot.release(); // Releasing twice frees one slot only
+    assert.equal(getUserUsage('sessions-user').activeSessions, 0);
+    assert.equal(acquireSessionSlot('sessions-user').ok, true);
+});
+
+test('ends the session once the daily audio is used up', () => {
+    assert.equal(meterAudio('audio-user', 600).ok, true);
+    assert.equal(meterAudio('audio-user', 600).ok, true); // Checked before counting
+    const refused = meterAudio('audio-user', 600);
+    assert.equal(refused.quota, 'audio_seconds');
+    assert.equal(refused.sessionEnded, true);
+    assert.ok(refused.retryAfterMs > 0);
+
+    const admission = acquireSessionSlot('audio-user');
+    assert.equal(admission.quota, 'audio_seconds');
+    assert.equal(admission.sessionEnded, false);
+});
+
+test('rate-limited messages are not fatal', () => {
+    assert.equal(meterMessage('chatty-user').ok, true);
+    assert.equal(meterMessage('chatty-user').ok, true);
+    const refused = meterMessage('chatty-user');
+    assert.equal(refused.quota, 'messages');
+    assert.equal(refused.fatal, false);
+    assert.equal(getUserUsage('chatty-user').messages, 2);
+});
+
+test('applies only the global limits to anonymous clients', () => {
+    // Without client auth every browser counts as the same user
+    const slots = [1, 2, 3].map(() => acquireSessionSlot(ANONYMOUS_USER));
+    assert.ok(slots.every(slot => slot.ok));
+    assert.equal(meterAudio(ANONYMOUS_USER, 5000).ok, true);
+    assert.equal(meterAudio(ANONYMOUS_USER, 5000).ok, true);
+    [1, 2, 3].forEach(() => assert.equal(meterMessage(ANONYMOUS_USER).ok, true));
+    assert.equal(getUserUsage(ANONYMOUS_USER).limits.concurrentSessions, null);
+
+    const more = Array.from({ length: 10 }, () => acquireSessionSlot(ANONYMOUS_USER));
+    const refused = more.find(slot => !slot.ok);
+    assert.equal(refused.scope, 'global');
+    more.concat(slots).forEach(slot => slot.release?.());
+});
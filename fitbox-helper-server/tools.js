@@ -0,0 +1,165 @@
+// tools.js - Server-side tools the Gemini model can call during a live session
+import { getKnowledgeForScreen, searchKnowledge, describePageContext } from './knowledge.js';
+
+const DEFAULT_TOOL_TIMEOUT_MS = 10000;
+
+// Registered tools by name: { declaration, handler, timeoutMs }
+const registeredTools = new Map();
+
+/**
+ * Registers a tool the model may call.
+ * @param {object} tool
+ * @param {string} tool.name - Function name the model calls.
+ * @param {string} tool.description - Tells the model when to use the tool.
+ * @param {object} [tool.parameters] - OpenAPI-style schema for the arguments (Gemini function declaration format).
+ * @param {number} [tool.timeoutMs] - How long the handler may run before the call fails.
+ * @param {(args: object, context: {session: object, signal: AbortSignal, callId: string}) => Promise<object>|object} tool.handler
+ *        Returns the JSON result sent back to the model. Should stop work when `signal` aborts.
+ */
+export function registerTool({ name, description, parameters, timeoutMs, handler }) {
+    if (registeredTools.has(name)) {
+        throw new Error(`Tool '${name}' is already registered.`);
+    }
+    const declaration = { name, description };
+    if (parameters) {
+        declaration.parameters = parameters;
+    }
+    registeredTools.set(name, {
+        declaration,
+        handler,
+        timeoutMs: timeoutMs || DEFAULT_TOOL_TIMEOUT_MS
+    });
+}
+
+/**
+ * Returns the `tools` array for the Gemini setup message.
+ * @returns {object[]} A single Tool entry holding all function declarations.
+ */
+export function getToolDeclarations() {
+    const functionDeclarations = Array.from(registeredTools.values()).map(tool => tool.declaration);
+    return functionDeclarations.length > 0 ? [{ functionDeclarations }] : [];
+}
+
+/**
+ * Runs a tool call from Gemini, enforcing the tool's timeout and required arguments.
+ * @param {{name: string, args?: object}} functionCall - One entry of `toolCall.functionCalls`.
+ * @param {object} session - The GeminiSession the call belongs to.
+ * @param {AbortSignal} signal - Aborted when Gemini cancels the call.
+ * @returns {Promise<object>} The handler's result.
+ */
+export async function executeTool(functionCall, session, signal) {
+    const tool = registeredTools.get(functionCall.name);
+    if (!tool) {
+        throw new Error(`Unknown tool '${functionCall.name}'.`);
+    }
+
+    const args = functionCall.args || {};
+    const missing = (tool.declaration.parameters?.required || []).filter(key => args[key] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`Missing required argument(s): ${missing.join(', ')}.`);
+    }
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Tool '${functionCall.name}' timed out after ${tool.timeoutMs}ms.`)), tool.timeoutMs);
+    });
+    try {
+        return await Promise.race([tool.handler(args, { session, signal, callId: functionCall.id }), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// --- Built-in Tools ---
+
+registerTool({
+    name: 'lookup_fitbox_help',
+    description: 'Searches the fitbox IQ help knowledge base. Use it whenever the user asks how to do something in fitbox that the current screen knowledge does not cover.',
+    parameters: {
+        type: 'OBJECT',
+        properties: {
+            query: {
+                type: 'STRING',
+                description: 'What to look up, e.g. "book a class" or "edit a member".'
+            }
+        },
+        required: ['query']
+    },
+    handler: ({ query }) => {
+        const results = searchKnowledge(query);
+        if (results.length === 0) {
+            return { found: false, message: `No fitbox help found for '${query}'.` };
+        }
+        return { found: true, results };
+    }
+});
+
+registerTool({
+    name: 'get_current_screen',
+    description: 'Returns which fitbox IQ screen the user currently has open, what the page shows, and the help text for that screen.',
+    handler: (args, { session }) => {
+        const screen = session.currentContext || 'unknown';
+        const result = {
+            screen,
+            params: session.screenParams,
+            help: getKnowledgeForScreen(screen, {
+                hints: session.pageContext?.extractedHints || [],
+                question: session.latestUserQuestion
+            })
+        };
+        if (session.pageContext) {
+            result.page = describePageContext(session.pageContext);
+        }
+        return result;
+    }
+});
+
+// --- Browser Tools ---
+// Executed in the user's fitbox tab by the extension (see BROWSER_TOOL_ALLOWLIST in
+// background.js). Tools that change data wait for the user to confirm in the popup,
+// so they get a longer timeout.
+
+function registerBrowserTool({ name, description, argName, argDescription, timeoutMs }) {
+    registerTool({
+        name,
+        description,
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                [argName]: { type: 'STRING', description: argDescription }
+            },
+            required: [argName]
+        },
+        timeoutMs: timeoutMs || 15000,
+        handler: (args, { session, signal, callId }) => session.runBrowserTool(callId, name, args, signal)
+    });
+}
+
+registerBrowserTool({
+    name: 'navigate_to_section',
+    description: 'Opens a section of fitbox IQ for the user by clicking its navigation item, e.g. Members or Schedule.',
+    argName: 'section',
+    argDescription: 'Visible name of the section in the fitbox navigation.'
+});
+
+registerBrowserTool({
+    name: 'highlight_element',
+    description: 'Scrolls to a button or link on the current fitbox page and outlines it so the user can see where to click.',
+    argName: 'label',
+    argDescription: 'Visible text of the button or link.'
+});
+
+registerBrowserTool({
+    name: 'scroll_to_field',
+    description: 'Scrolls to a form field on the current fitbox page and puts the cursor in it.',
+    argName: 'label',
+    argDescription: 'Label text of the form field.'
+});
+
+registerBrowserTool({
+    name: 'click_button',
+    description: 'Clicks a button on the current fitbox page. Only use it when the user explicitly asks you to; the user must confirm before it runs because it can change data.',
+    argName: 'label',
+    argDescription: 'Visible text of the button.',
+    timeoutMs: 60000
+});
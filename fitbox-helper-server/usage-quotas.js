@@ -0,0 +1,274 @@
+// usage-quotas.js - Meters audio, messages and concurrent sessions, and enforces the quotas
+//
+// Usage is counted per authenticated user (ws.auth.user, or 'anonymous' when
+// CLIENT_AUTH_REQUIRED=false) and in total, against the limits from getQuotaConfig().
+// Anonymous clients can't be told apart, so only the global limits apply to them.
+// Daily counts are kept per UTC day in USAGE_FILE (default ./data/usage.json) so a restart
+// doesn't reset them; message rates and open sessions only live in memory.
+import fs from 'fs';
+import path from 'path';
+import { getQuotaConfig } from './config.js';
+
+export const ANONYMOUS_USER = 'anonymous';
+
+const RATE_WINDOW_MS = 60 * 1000;
+const USAGE_RETENTION_DAYS = 31;
+const SAVE_DELAY_MS = 5000; // Audio is metered several times a second; writes are batched
+const GLOBAL_KEY = null; // Key of the all-users entry in the in-memory maps
+
+const ALLOWED = { ok: true };
+
+let usage = { days: {} }; // { days: { 'YYYY-MM-DD': { total: counts, users: { [user]: counts } } } }
+let saveTimer = null;
+let writeQueue = Promise.resolve(); // Serializes writes to the usage file
+const activeSessions = new Map(); // User (or GLOBAL_KEY) -> open AI sessions
+const messageWindows = new Map(); // User (or GLOBAL_KEY) -> { startedAt, count }
+
+// Read lazily because dotenv runs after imports
+function getUsageFile() {
+    return path.resolve(process.env.USAGE_FILE || './data/usage.json');
+}
+
+function getDay(now = Date.now()) {
+    return new Date(now).toISOString().substring(0, 10);
+}
+
+// Milliseconds until the daily quotas reset at midnight UTC
+function msUntilNextDay(now = Date.now()) {
+    const midnight = new Date(now);
+    midnight.setUTCHours(24, 0, 0, 0);
+    return midnight.getTime() - now;
+}
+
+function getCounts(user, day = getDay()) {
+    const dayUsage = usage.days[day] || (usage.days[day] = { total: newCounts(), users: {} });
+    if (user === GLOBAL_KEY) return dayUsage.total;
+    return dayUsage.users[user] || (dayUsage.users[user] = newCounts());
+}
+
+// "90 minutes", or seconds for limits under a minute
+function describeSeconds(seconds) {
+    return seconds >= 60 ? `${Math.round(seconds / 60)} minutes` : `${seconds} seconds`;
+}
+
+// The limits for a user: anonymous clients share one key, so per-user limits would cap them all together
+function getLimits(user) {
+    const quotas = getQuotaConfig();
+    if (user !== ANONYMOUS_USER) return quotas;
+    return { ...quotas, userAudioSecondsPerDay: null, userMessagesPerMinute: null, userConcurrentSessions: null };
+}
+
+function newCounts() {
+    return { audioMs: 0, messages: 0, sessions: 0 };
+}
+
+// Verdict sent to the client as { type: 'error', ...verdict } (see index.js). `fatal` tells
+// the extension to disconnect; `sessionEnded` whether a running session was stopped.
+function quotaExceeded(quota, scope, limit, retryAfterMs, { fatal, sessionEnded }, message) {
+    return { ok: false, code: 'quota_exceeded', quota, scope, limit, retryAfterMs, fatal, sessionEnded, message };
+}
+
+/**
+ * Loads the stored daily usage. Call once at startup, before clients connect.
+ * @returns {Promise<void>}
+ */
+export async function initUsageQuotas() {
+    try {
+        const parsed = JSON.parse(await fs.promises.readFile(getUsageFile(), 'utf8'));
+        usage = parsed && typeof parsed.days === 'object' ? parsed : { days: {} };
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw new Error(`Cannot read the usage file ${getUsageFile()}: ${error.message}`);
+        }
+    }
+    console.log(`[Usage] Quotas: ${JSON.stringify(getQuotaConfig())}`);
+}
+
+// Writes the usage atomically a few seconds after it changed, dropping days past retention
+function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        const oldestDay = getDay(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        Object.keys(usage.days).filter(day => day < oldestDay).forEach(day => delete usage.days[day]);
+        const content = JSON.stringify(usage, null, 2);
+        writeQueue = writeQueue.then(async () => {
+            const filePath = getUsageFile();
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, content);
+            await fs.promises.rename(tempPath, filePath);
+        }).catch(error => console.error('[Usage] Failed to save usage:', error.message));
+    }, SAVE_DELAY_MS);
+    saveTimer.unref(); // A pending save must not keep the process alive
+}
+
+/**
+ * The key usage is counted under for a connection.
+ * @param {object|null} auth The client record from authenticateClientToken (ws.auth).
+ * @returns {string}
+ */
+export function getUsageUser(auth) {
+    return auth?.user || ANONYMOUS_USER;
+}
+
+// Refuses new audio once the user's or everyone's daily allowance is used up
+function checkAudioQuota(user, sessionEnded) {
+    const quotas = getLimits(user);
+    if (quotas.userAudioSecondsPerDay && getCounts(user).audioMs >= quotas.userAudioSecondsPerDay * 1000) {
+        return quotaExceeded('audio_seconds', 'user', quotas.userAudioSecondsPerDay, msUntilNextDay(), { fatal: true, sessionEnded },
+            `You have used today's ${describeSeconds(quotas.userAudioSecondsPerDay)} of voice assistance. It resets at midnight UTC.`);
+    }
+    if (quotas.globalAudioSecondsPerDay && getCounts(GLOBAL_KEY).audioMs >= quotas.globalAudioSecondsPerDay * 1000) {
+        return quotaExceeded('audio_seconds', 'global', quotas.globalAudioSecondsPerDay, msUntilNextDay(), { fatal: true, sessionEnded },
+            'The fitbox Helper has reached its usage limit for today. It resets at midnight UTC.');
+    }
+    return ALLOWED;
+}
+
+/**
+ * Reserves one of the user's concurrent AI sessions. Also refused once today's audio
+ * quota is used up, since the session could not be used.
+ * @param {string} user From getUsageUser.
+ * @returns {{ok: true, release: () => void} | {ok: false, code: 'quota_exceeded', quota: string, scope: 'user'|'global', limit: number, retryAfterMs: number|null, fatal: boolean, sessionEnded: boolean, message: string}}
+ *   On success, call release() when the session ends (calling it again does nothing).
+ */
+export function acquireSessionSlot(user) {
+    const audioVerdict = checkAudioQuota(user, false); // No session was started
+    if (!audioVerdict.ok) return audioVerdict;
+
+    const quotas = getLimits(user);
+    const userActive = activeSessions.get(user) || 0;
+    const totalActive = activeSessions.get(GLOBAL_KEY) || 0;
+    if (quotas.userConcurrentSessions && userActive >= quotas.userConcurrentSessions) {
+        return quotaExceeded('concurrent_sessions', 'user', quotas.userConcurrentSessions, null, { fatal: true, sessionEnded: false },
+            `You already have ${userActive} helper session${userActive === 1 ? '' : 's'} open. Close one before starting another.`);
+    }
+    if (quotas.globalConcurrentSessions && totalActive >= quotas.globalConcurrentSessions) {
+        return quotaExceeded('concurrent_sessions', 'global', quotas.globalConcurrentSessions, null, { fatal: true, sessionEnded: false },
+            'The fitbox Helper is busy right now. Please try again in a few minutes.');
+    }
+
+    activeSessions.set(user, userActive + 1);
+    activeSessions.set(GLOBAL_KEY, totalActive + 1);
+    getCounts(user).sessions++;
+    getCounts(GLOBAL_KEY).sessions++;
+    scheduleSave();
+
+    let released = false;
+    return {
+        ok: true,
+        release: () => {
+            if (released) return;
+            released = true;
+            const remaining = activeSessions.get(user) - 1;
+            if (remaining > 0) activeSessions.set(user, remaining);
+            else activeSessions.delete(user);
+            activeSessions.set(GLOBAL_KEY, activeSessions.get(GLOBAL_KEY) - 1);
+        }
+    };
+}
+
+// The running one-minute message window of a user (or everyone), started afresh when it ends
+function getMessageWindow(key, now) {
+    let window = messageWindows.get(key);
+    if (!window || now - window.startedAt >= RATE_WINDOW_MS) {
+        window = { startedAt: now, count: 0 };
+        messageWindows.set(key, window);
+    }
+    return window;
+}
+
+/**
+ * Counts a message from a client against the per-minute rate limits. Refused messages
+ * should be dropped; the session itself goes on.
+ * @param {string} user From getUsageUser.
+ * @returns {{ok: boolean}} When refused, the quota_exceeded fields as for acquireSessionSlot.
+ */
+export function meterMessage(user) {
+    const quotas = getLimits(user);
+    const now = Date.now();
+    const userWindow = getMessageWindow(user, now);
+    const totalWindow = getMessageWindow(GLOBAL_KEY, now);
+    if (quotas.userMessagesPerMinute && userWindow.count >= quotas.userMessagesPerMinute) {
+        return quotaExceeded('messages', 'user', quotas.userMessagesPerMinute, userWindow.startedAt + RATE_WINDOW_MS - now, { fatal: false, sessionEnded: false },
+            'You are sending too much at once, so some of your input was skipped. Please slow down.');
+    }
+    if (quotas.globalMessagesPerMinute && totalWindow.count >= quotas.globalMessagesPerMinute) {
+        return quotaExceeded('messages', 'global', quotas.globalMessagesPerMinute, totalWindow.startedAt + RATE_WINDOW_MS - now, { fatal: false, sessionEnded: false },
+            'The fitbox Helper is very busy, so some of your input was skipped. Please try again in a moment.');
+    }
+    userWindow.count++;
+    totalWindow.count++;
+    getCounts(user).messages++;
+    getCounts(GLOBAL_KEY).messages++;
+    scheduleSave();
+    return ALLOWED;
+}
+
+/**
+ * Counts microphone audio about to be relayed to Gemini against the daily quotas.
+ * Once refused, the session should end: no more audio is accepted until the next day.
+ * @param {string} user From getUsageUser.
+ * @param {number} durationMs Duration of the audio chunk.
+ * @returns {{ok: boolean}} When refused, the quota_exceeded fields as for acquireSessionSlot.
+ */
+export function meterAudio(user, durationMs) {
+    const verdict = checkAudioQuota(user, true);
+    if (!verdict.ok) return verdict;
+    getCounts(user).audioMs += durationMs;
+    getCounts(GLOBAL_KEY).audioMs += durationMs;
+    scheduleSave();
+    return ALLOWED;
+}
+
+function describeCounts(counts, active) {
+    return {
+        audioSeconds: Math.round(counts.audioMs / 1000),
+        messages: counts.messages,
+        sessions: counts.sessions,
+        activeSessions: active || 0
+    };
+}
+
+/**
+ * Today's usage of one user with their limits, for the user's own view (GET /auth/usage).
+ * @param {string} user From getUsageUser.
+ * @returns {object}
+ */
+export function getUserUsage(user) {
+    const quotas = getLimits(user);
+    const day = getDay();
+    return {
+        user,
+        day,
+        resetsAt: new Date(Date.now() + msUntilNextDay()).toISOString(),
+        ...describeCounts(usage.days[day]?.users[user] || newCounts(), activeSessions.get(user)),
+        limits: {
+            audioSecondsPerDay: quotas.userAudioSecondsPerDay,
+            messagesPerMinute: quotas.userMessagesPerMinute,
+            concurrentSessions: quotas.userConcurrentSessions
+        }
+    };
+}
+
+/**
+ * Usage of all users for the admin API, newest day first.
+ * @param {{days?: number}} [options] How many days to include, today being the first.
+ * @returns {{limits: object, activeSessions: number, days: object[]}}
+ */
+export function getUsageReport({ days = 1 } = {}) {
+    const includedDays = Object.keys(usage.days).sort().reverse().slice(0, days);
+    const today = getDay();
+    return {
+        limits: getQuotaConfig(),
+        activeSessions: activeSessions.get(GLOBAL_KEY) || 0,
+        days: includedDays.map(day => ({
+            day,
+            total: describeCounts(usage.days[day].total, day === today ? activeSessions.get(GLOBAL_KEY) : 0),
+            users: Object.entries(usage.days[day].users)
+                .map(([user, counts]) => ({ user, ...describeCounts(counts, day === today ? activeSessions.get(user) : 0) }))
+                .sort((a, b) => b.audioSeconds - a.audioSeconds || b.messages - a.messages)
+        }))
+    };
+}